@@ -1,4 +1,4 @@
-/* global XLSX, JSZip, saveAs, html2pdf */
+/* global XLSX, JSZip, saveAs, html2pdf, FontFace, qrcode, PDFLib */
 
 /**
  * ProcessXLS — browser-only tool:
@@ -7,23 +7,102 @@
  * - Invoice: HTML template (inv.html)
  * - Act: HTML template (act.html)
  * - Replaces placeholders: {Key} / {{Key}}
- * - Exports PDFs via html2pdf and downloads (ZIP with 2 PDFs per row, or 2 combined PDFs)
+ * - Exports PDFs with real text via jsPDF (embedded Cyrillic font) or as images via html2pdf
+ * - Downloads a ZIP with 2 PDFs per row, or 2 combined PDFs
  */
 
 const ui = {
   fileInput: document.getElementById("fileInput"),
-  invHtmlInput: document.getElementById("invHtmlInput"),
-  actHtmlInput: document.getElementById("actHtmlInput"),
+  dataSheet: document.getElementById("dataSheet"),
+  dataRange: document.getElementById("dataRange"),
+  headerMode: document.getElementById("headerMode"),
+  headerRow: document.getElementById("headerRow"),
+  docTypesList: document.getElementById("docTypesList"),
+  docTypeLabel: document.getElementById("docTypeLabel"),
+  docTypeTemplate: document.getElementById("docTypeTemplate"),
+  docTypeFolder: document.getElementById("docTypeFolder"),
+  btnDocTypeAdd: document.getElementById("btnDocTypeAdd"),
   btnLoad: document.getElementById("btnLoad"),
   btnPreview: document.getElementById("btnPreview"),
   btnRun: document.getElementById("btnRun"),
   btnReset: document.getElementById("btnReset"),
+  btnPreviewPrev: document.getElementById("btnPreviewPrev"),
+  btnPreviewNext: document.getElementById("btnPreviewNext"),
+  btnPreviewJump: document.getElementById("btnPreviewJump"),
+  previewJump: document.getElementById("previewJump"),
+  previewJumpBy: document.getElementById("previewJumpBy"),
+  previewPos: document.getElementById("previewPos"),
   status: document.getElementById("status"),
+  report: document.getElementById("report"),
   preview: document.getElementById("preview"),
   nameColumn: document.getElementById("nameColumn"),
+  fileNamePattern: document.getElementById("fileNamePattern"),
+  zipVolumeSize: document.getElementById("zipVolumeSize"),
+  signedToggle: document.getElementById("signedToggle"),
+  editorType: document.getElementById("editorType"),
+  editorVersion: document.getElementById("editorVersion"),
+  editorVersionName: document.getElementById("editorVersionName"),
+  editorSource: document.getElementById("editorSource"),
+  editorSuggest: document.getElementById("editorSuggest"),
+  editorPreview: document.getElementById("editorPreview"),
+  editorInfo: document.getElementById("editorInfo"),
+  btnEditorOpen: document.getElementById("btnEditorOpen"),
+  btnEditorLoadVersion: document.getElementById("btnEditorLoadVersion"),
+  btnEditorDeleteVersion: document.getElementById("btnEditorDeleteVersion"),
+  btnEditorSaveVersion: document.getElementById("btnEditorSaveVersion"),
+  btnEditorApply: document.getElementById("btnEditorApply"),
+  btnPackageExport: document.getElementById("btnPackageExport"),
+  packageInput: document.getElementById("packageInput"),
+  jobBox: document.getElementById("jobBox"),
+  jobProgress: document.getElementById("jobProgress"),
+  jobInfo: document.getElementById("jobInfo"),
+  btnJobCancel: document.getElementById("btnJobCancel"),
+  btnJobResume: document.getElementById("btnJobResume"),
+  btnJobPartial: document.getElementById("btnJobPartial"),
+  btnJobDiscard: document.getElementById("btnJobDiscard"),
+  signImagesForm: document.getElementById("signImagesForm"),
+  folderPattern: document.getElementById("folderPattern"),
   mode: document.getElementById("mode"),
-  invPrefix: document.getElementById("invPrefix"),
+  pdfEngine: document.getElementById("pdfEngine"),
+  pdfFontInput: document.getElementById("pdfFontInput"),
+  pdfFontBoldInput: document.getElementById("pdfFontBoldInput"),
+  invPattern: document.getElementById("invPattern"),
   invStart: document.getElementById("invStart"),
+  registryInfo: document.getElementById("registryInfo"),
+  registryTable: document.getElementById("registryTable"),
+  btnRegistryClear: document.getElementById("btnRegistryClear"),
+  journalSearch: document.getElementById("journalSearch"),
+  journalInfo: document.getElementById("journalInfo"),
+  journalList: document.getElementById("journalList"),
+  btnJournalClear: document.getElementById("btnJournalClear"),
+  groupMode: document.getElementById("groupMode"),
+  groupColumn: document.getElementById("groupColumn"),
+  vatMode: document.getElementById("vatMode"),
+  vatRate: document.getElementById("vatRate"),
+  vatColumn: document.getElementById("vatColumn"),
+  supplierSelect: document.getElementById("supplierSelect"),
+  customerSelect: document.getElementById("customerSelect"),
+  customerColumn: document.getElementById("customerColumn"),
+  reqEntry: document.getElementById("reqEntry"),
+  reqForm: document.getElementById("reqForm"),
+  btnReqNewSupplier: document.getElementById("btnReqNewSupplier"),
+  btnReqNewCustomer: document.getElementById("btnReqNewCustomer"),
+  btnReqSave: document.getElementById("btnReqSave"),
+  btnReqDelete: document.getElementById("btnReqDelete"),
+  mappingCard: document.getElementById("mappingCard"),
+  mappingFields: document.getElementById("mappingFields"),
+  mappingInfo: document.getElementById("mappingInfo"),
+  mappingName: document.getElementById("mappingName"),
+  btnMappingSave: document.getElementById("btnMappingSave"),
+  rowsCard: document.getElementById("rowsCard"),
+  rowSearch: document.getElementById("rowSearch"),
+  rowDateFrom: document.getElementById("rowDateFrom"),
+  rowDateTo: document.getElementById("rowDateTo"),
+  rowFilterColumn: document.getElementById("rowFilterColumn"),
+  rowFilterValue: document.getElementById("rowFilterValue"),
+  rowFilterValues: document.getElementById("rowFilterValues"),
+  rowsInfo: document.getElementById("rowsInfo"),
+  rowsTable: document.getElementById("rowsTable"),
 };
 
 const state = {
@@ -31,21 +110,104 @@ const state = {
   workbook: null,
   sheetNames: [],
   dataHeaders: [],
-  dataRows: [], // array of objects {header:value}
+  rawRows: [], // rows as parsed from the sheet, before the column mapping
+  dataRows: [], // array of objects {header:value} + mapped semantic keys
+  mapping: {}, // semantic field -> column header
+  mappingSignature: "",
+  selectedRows: new Set(), // __sheet_row of rows ticked for generation
+  previewIndex: 0, // index of the previewed document among the selected ones
   templateInvoice: null, // ws object
   templateAct: null, // ws object
-  invHtmlFile: null,
-  invHtmlText: null,
-  invHtmlParsed: null, // { stylesText, bodyHtmlWithPlaceholders }
-  actHtmlFile: null,
-  actHtmlText: null,
-  actHtmlParsed: null, // { stylesText, bodyHtmlWithPlaceholders }
+  docTypes: [], // [{ id, label, template, folder, builtIn, enabled }] — one PDF per enabled type and document
+  templates: {}, // doc type id -> { file, text, parsed }; parsed = { name, stylesText, bodyHtmlWithPlaceholders, bodyLine }
+  pdfFontFile: null, // user TTF for the text PDF engine (regular)
+  pdfFontBoldFile: null, // user TTF (bold)
+  pdfFonts: null, // { normal, bold } base64 TTF, loaded once per session
+  requisites: null, // { suppliers, customers, supplierId, customerId, customerColumn }
+  reqEditing: "", // "supplier:<id>" | "customer:<id>"
+  editorKeys: [], // placeholder names offered by the template editor's autocomplete
+  job: null, // running generation job: { id, cancel }
 };
 
 function setStatus(lines) {
   ui.status.textContent = Array.isArray(lines) ? lines.join("\n") : String(lines ?? "");
 }
 
+const STORAGE_PREFIX = "processxls.";
+
+function loadStored(key, fallback) {
+  try {
+    const raw = localStorage.getItem(STORAGE_PREFIX + key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function saveStored(key, value) {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+  } catch (e) {
+    throw new Error(`Не удалось сохранить настройки в браузере (${e.message || e})`);
+  }
+}
+
+function saveStoredAll(values) {
+  // Several keys as one change: the largest are written first, and if one does not fit, the keys already
+  // written get their old values back, so a half-saved setup is never left behind
+  const entries = Object.entries(values)
+    .map(([key, value]) => [STORAGE_PREFIX + key, JSON.stringify(value)])
+    .sort((a, b) => b[1].length - a[1].length);
+  const previous = entries.map(([key]) => [key, localStorage.getItem(key)]);
+  try {
+    for (const [key, raw] of entries) localStorage.setItem(key, raw);
+  } catch (e) {
+    // Free the new values first: the old ones fitted together before, so they fit again
+    for (const [key] of previous) localStorage.removeItem(key);
+    for (const [key, raw] of previous) if (raw != null) localStorage.setItem(key, raw);
+    throw new Error(`Не удалось сохранить настройки в браузере (${e.message || e})`);
+  }
+}
+
+// IndexedDB keeps what does not fit localStorage: generation journal with row/template snapshots, and the
+// unfinished generation job with the PDFs it has already rendered.
+const DB_NAME = "processxls";
+const DB_VERSION = 2;
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error("Браузер не поддерживает IndexedDB."));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains("runs")) db.createObjectStore("runs", { keyPath: "id", autoIncrement: true });
+        if (!db.objectStoreNames.contains("jobs")) db.createObjectStore("jobs", { keyPath: "id", autoIncrement: true });
+        if (!db.objectStoreNames.contains("jobFiles")) db.createObjectStore("jobFiles", { keyPath: "key" });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(new Error(`Не удалось открыть базу браузера (${req.error?.message || req.error})`));
+    });
+    dbPromise.catch(() => (dbPromise = null));
+  }
+  return dbPromise;
+}
+
+async function dbRequest(storeName, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(new Error(`Ошибка базы браузера (${tx.error?.message || tx.error})`));
+    tx.onabort = () => reject(new Error(`Ошибка базы браузера (${tx.error?.message || tx.error})`));
+  });
+}
+
 function escapeFilename(name) {
   return String(name)
     .replace(/[<>:"/\\|?*\u0000-\u001F]/g, "_")
@@ -67,6 +229,15 @@ function readFileAsArrayBuffer(file) {
   });
 }
 
+function readFileAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onerror = () => reject(new Error("Не удалось прочитать файл"));
+    reader.onload = () => resolve(String(reader.result ?? ""));
+    reader.readAsDataURL(file);
+  });
+}
+
 function readFileAsText(file) {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
@@ -103,13 +274,26 @@ function looksLikeHeaderRow(row0) {
   return true;
 }
 
-function parseDataSheet(ws) {
-  // header row + data rows
-  const range = ws["!ref"] ? XLSX.utils.decode_range(ws["!ref"]) : null;
-  const colCount = range ? range.e.c - range.s.c + 1 : 0;
-  const table = XLSX.utils.sheet_to_json(ws, { header: 1, raw: true, defval: "" });
+function parseDataSheet(ws, opts = {}) {
+  // opts: { sheetName, range: "A1:I120" | "A3" | "", headerMode: "auto" | "yes" | "no" | "row", headerRow: N }
+  const sheetLabel = opts.sheetName ? `Лист «${opts.sheetName}»` : "Лист";
+  const sheetRange = ws["!ref"] ? XLSX.utils.decode_range(ws["!ref"]) : null;
+  let range = sheetRange;
+  if (opts.range) {
+    if (!/^\$?[A-Z]+\$?\d+(:\$?[A-Z]+\$?\d+)?$/i.test(String(opts.range).trim())) {
+      throw new Error(`Неверный диапазон «${opts.range}». Пример: A1:I120 или A3.`);
+    }
+    range = parseA1Range(String(opts.range).toUpperCase());
+    // A single cell means "from here to the end of the sheet"
+    if (range && sheetRange && range.s.r === range.e.r && range.s.c === range.e.c) {
+      range = { s: range.s, e: { r: sheetRange.e.r, c: sheetRange.e.c } };
+    }
+  }
+  if (!range) throw new Error(`${sheetLabel} пустой.`);
+  const colCount = range.e.c - range.s.c + 1;
+  const table = XLSX.utils.sheet_to_json(ws, { header: 1, raw: true, defval: "", blankrows: true, range });
   if (!table || table.length < 1) {
-    throw new Error("1-й лист пустой.");
+    throw new Error(`${sheetLabel} пустой.`);
   }
 
   // Find the first non-empty row (so we can tolerate top padding)
@@ -122,23 +306,34 @@ function parseDataSheet(ws) {
       break;
     }
   }
-  if (firstNonEmpty === -1) throw new Error("1-й лист пустой.");
+  if (firstNonEmpty === -1) throw new Error(`${sheetLabel} пустой.`);
 
-  const row0 = table[firstNonEmpty] || [];
-  const hasHeader = looksLikeHeaderRow(row0);
+  let headerIdx = firstNonEmpty;
+  let hasHeader;
+  if (opts.headerMode === "row") {
+    const n = parseInt(String(opts.headerRow ?? ""), 10);
+    headerIdx = n - 1 - range.s.r;
+    if (!Number.isFinite(n) || headerIdx < 0 || headerIdx >= table.length) {
+      throw new Error(`Строка заголовков ${opts.headerRow || "(не указана)"} вне диапазона данных.`);
+    }
+    hasHeader = true;
+  } else if (opts.headerMode === "yes" || opts.headerMode === "no") {
+    hasHeader = opts.headerMode === "yes";
+  } else {
+    hasHeader = looksLikeHeaderRow(table[firstNonEmpty] || []);
+  }
 
   let headers = [];
   let dataStart = firstNonEmpty;
   if (hasHeader) {
-    const rawHeaders = row0.map(normalizeHeader);
+    const rawHeaders = (table[headerIdx] || []).map(normalizeHeader);
     const hasAnyHeader = rawHeaders.some(Boolean);
     if (!hasAnyHeader) throw new Error("Не нашёл заголовки в строке заголовков.");
     headers = rawHeaders.map((h, idx) => (h ? h : `__COL_${idx + 1}`));
-    dataStart = firstNonEmpty + 1;
+    dataStart = headerIdx + 1;
   } else {
-    // No headers: use Excel-like letters based on !ref width (fallback to max row length)
-    const width = colCount || Math.max(...table.map((r) => (r ? r.length : 0)), 0);
-    headers = Array.from({ length: width }, (_, i) => excelColName(i));
+    // No headers: use Excel letters of the real columns (the range may start past column A)
+    headers = Array.from({ length: colCount }, (_, i) => excelColName(range.s.c + i));
     dataStart = firstNonEmpty;
   }
 
@@ -149,11 +344,13 @@ function parseDataSheet(ws) {
     headers.forEach((h, idx) => {
       obj[h] = rowArr[idx] ?? "";
     });
-    if (!isRowEmpty(obj)) rows.push(obj);
+    if (isRowEmpty(obj)) continue;
+    obj.__sheet_row = range.s.r + i + 1; // 1-based Excel row number, for messages
+    rows.push(obj);
   }
 
   if (rows.length === 0) {
-    throw new Error("На 1-м листе нет строк данных.");
+    throw new Error(`${sheetLabel}: нет строк данных.`);
   }
 
   return { headers, rows, hasHeader };
@@ -206,771 +403,4089 @@ function fillTemplateWorksheet(wsTemplate, rowObj) {
   return ws;
 }
 
-function applyAliases(rowObj) {
-  // If sheet has no headers, we still want meaningful keys for common placeholders.
-  // Detect two known layouts for your "Список":
-  // Layout v1 (old): A=описание, B=маршрут, C="а/м", D=номер авто, E=водитель, F=сумма, H=дата
-  // Layout v2 (current): A=номер счёта, B=описание, C=маршрут, D="а/м", E=номер авто, F=водитель, G=сумма, I=дата
+// Semantic fields a column can be mapped to (the mapping step after loading).
+const MAPPING_FIELDS = [
+  { key: "номер счёта", label: "Номер счёта", match: ["номер счета", "№ счёта", "№ счета", "счёт", "счет"] },
+  { key: "описание", label: "Описание услуги", match: ["услуга", "наименование"] },
+  { key: "маршрут", label: "Маршрут", match: [] },
+  { key: "а/м", label: "Префикс «а/м»", match: ["а/м"] },
+  { key: "номер авто", label: "Гос. номер", match: ["госномер", "гос. номер", "гос.номер"] },
+  { key: "водитель", label: "Водитель", match: [] },
+  { key: "сумма", label: "Сумма", match: ["стоимость", "итого"] },
+  { key: "дата", label: "Дата", match: ["дата счёта", "дата счета"] },
+  { key: "количество", label: "Количество", match: ["кол-во"] },
+  { key: "ед. изм.", label: "Ед. изм.", match: ["ед", "единица"] },
+  { key: "цена", label: "Цена", match: [] },
+];
+
+// Known layouts of the header-less "Список" sheet: semantic field -> column letter.
+// Used only to suggest a mapping for a structure that has no saved profile yet.
+const ALIAS_LAYOUTS = {
+  // v1 (old): A=описание, B=маршрут, C="а/м", D=номер авто, E=водитель, F=сумма, H=дата
+  v1: { описание: "A", маршрут: "B", "а/м": "C", "номер авто": "D", водитель: "E", сумма: "F", дата: "H" },
+  // v2 (current): A=номер счёта, B=описание, C=маршрут, D="а/м", E=номер авто, F=водитель, G=сумма, I=дата
+  v2: { "номер счёта": "A", описание: "B", маршрут: "C", "а/м": "D", "номер авто": "E", водитель: "F", сумма: "G", дата: "I" },
+};
 
-  const A = rowObj.A ?? rowObj[excelColName(0)];
-  const B = rowObj.B ?? rowObj[excelColName(1)];
-  const C = rowObj.C ?? rowObj[excelColName(2)];
-  const D = rowObj.D ?? rowObj[excelColName(3)];
-  const E = rowObj.E ?? rowObj[excelColName(4)];
-  const F = rowObj.F ?? rowObj[excelColName(5)];
-  const G = rowObj.G ?? rowObj[excelColName(6)];
-  const H = rowObj.H ?? rowObj[excelColName(7)];
-  const I = rowObj.I ?? rowObj[excelColName(8)];
+// Aliases built from several fields (used to tell which columns a placeholder depends on)
+const ALIAS_DERIVED = {
+  авто: ["а/м", "номер авто"],
+  "дата счёта": ["дата"],
+  услуга: ["описание", "маршрут"],
+};
 
+function detectAliasLayout(rowObj) {
+  const A = rowObj.A;
+  const B = rowObj.B;
   const aLooksLikeInvoiceNo =
     typeof A === "number" || (typeof A === "string" && /^\s*\d+\s*$/.test(A) && A.trim().length <= 10);
   const bLooksLikeTu = typeof B === "string" && B.toLowerCase().includes("ту по перевозке");
+  return aLooksLikeInvoiceNo && bLooksLikeTu ? "v2" : "v1";
+}
 
-  const isV2 = aLooksLikeInvoiceNo && bLooksLikeTu;
-
-  const desc = isV2 ? B : A;
-  const route = isV2 ? C : B;
-  const carPrefix = isV2 ? D : C;
-  const plate = isV2 ? E : D;
-  const driver = isV2 ? F : E;
-  const amount = isV2 ? G : F;
-  const date = isV2 ? I : H;
-  const invoiceNo = isV2 ? A : null;
-
-  const aliases = {
-    ...(invoiceNo != null ? { "номер счёта": invoiceNo } : {}),
-    маршрут: route,
-    описание: desc,
-    авто: `${String(carPrefix ?? "").trim()}${String(plate ?? "").trim()}`.trim(),
-    "номер авто": plate,
-    водитель: driver,
-    сумма: amount,
-    дата: date,
-    "дата счёта": date,
-    "Дата счёта": date, // for templates that use capitalized placeholder
-    услуга: `${String(desc ?? "").trim()}${String(route ?? "").trim()}`.trim(),
-  };
-  return { ...aliases, ...rowObj };
+function suggestMapping(headers, rows, hasHeader) {
+  const mapping = {};
+  if (!hasHeader) {
+    const layout = ALIAS_LAYOUTS[detectAliasLayout(rows[0] || {})];
+    for (const f of MAPPING_FIELDS) mapping[f.key] = headers.includes(layout[f.key]) ? layout[f.key] : "";
+    return mapping;
+  }
+  for (const f of MAPPING_FIELDS) {
+    const names = [f.key, ...f.match].map((x) => x.toLowerCase());
+    mapping[f.key] = headers.find((h) => names.includes(h.toLowerCase())) || "";
+  }
+  return mapping;
 }
 
-function withComputedFields(rowObj, idx, invPrefix, invStart) {
-  const n0 = Number.isFinite(invStart) ? invStart : 1;
-  const num = n0 + idx;
-  const padded = String(num).padStart(4, "0");
-  const invoiceNo = `${invPrefix || ""}${padded}`;
-  // Only auto-fill invoice number if it's missing in the data
-  const hasInvoiceNo =
-    Object.prototype.hasOwnProperty.call(rowObj, "номер счёта") &&
-    rowObj["номер счёта"] != null &&
-    String(rowObj["номер счёта"]).trim() !== "";
-  const enriched = { ...rowObj, ...(hasInvoiceNo ? {} : { "номер счёта": invoiceNo }), "__row_index": idx + 1 };
-  const dateRu = formatDateRu(enriched["дата счёта"] ?? enriched["Дата счёта"] ?? enriched.дата);
-  const amount = enriched.сумма ?? enriched["сумма"];
-  const sumFmt = formatRubAmount(amount);
-  const sumWords = amountToWordsRubKop(amount);
-  const desc = String(enriched["описание"] ?? "")
+function structureSignature(headers, rows, hasHeader) {
+  // Same headers (or, without headers, same width and value types per column) = same structure
+  if (hasHeader) return `H:${headers.join("|")}`;
+  const typeOf = (v) => (v instanceof Date ? "d" : typeof v === "number" ? "n" : String(v ?? "").trim() ? "s" : "");
+  const types = headers.map((h) => {
+    const counts = {};
+    for (const r of rows.slice(0, 20)) {
+      const t = typeOf(r[h]);
+      if (t) counts[t] = (counts[t] || 0) + 1;
+    }
+    return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || "-";
+  });
+  return `N:${headers.length}:${types.join("")}`;
+}
+
+function loadMappingProfiles() {
+  const stored = loadStored("mappingProfiles", []);
+  return Array.isArray(stored) ? stored : [];
+}
+
+function findMappingProfile(signature) {
+  return loadMappingProfiles()
+    .filter((p) => p.signature === signature)
+    .sort((a, b) => (b.updated || 0) - (a.updated || 0))[0] || null;
+}
+
+function saveMappingProfile(name, signature, mapping) {
+  const profiles = loadMappingProfiles().filter((p) => p.name !== name);
+  profiles.push({ name, signature, mapping: { ...mapping }, updated: Date.now() });
+  saveStored("mappingProfiles", profiles);
+}
+
+function applyAliases(rowObj, mapping) {
+  // Semantic keys ({маршрут}, {сумма}, ...) come from the column mapping and take precedence over raw headers.
+  const pick = (field) => (mapping[field] ? rowObj[mapping[field]] : undefined);
+  const mapped = (field) => Boolean(mapping[field]);
+
+  const aliases = {};
+  for (const f of MAPPING_FIELDS) {
+    if (mapped(f.key) && pick(f.key) != null) aliases[f.key] = pick(f.key);
+  }
+  if (mapped("а/м") || mapped("номер авто")) {
+    aliases.авто = `${String(pick("а/м") ?? "").trim()}${String(pick("номер авто") ?? "").trim()}`.trim();
+  }
+  if (mapped("дата")) {
+    aliases["дата счёта"] = pick("дата");
+    aliases["Дата счёта"] = pick("дата"); // for templates that use capitalized placeholder
+  }
+  if (mapped("описание") || mapped("маршрут")) {
+    aliases.услуга = `${String(pick("описание") ?? "").trim()}${String(pick("маршрут") ?? "").trim()}`.trim();
+  }
+  return { ...rowObj, ...aliases };
+}
+
+// Requisites: saved supplier profiles + customer directory (localStorage).
+// Exposed to templates as {поставщик.ИНН}, {покупатель.р/с}, {поставщик.реквизиты}, ...
+const REQUISITE_FIELDS = [
+  { key: "наименование", label: "Наименование" },
+  { key: "ИНН", label: "ИНН" },
+  { key: "КПП", label: "КПП" },
+  { key: "адрес", label: "Адрес" },
+  { key: "банк", label: "Банк" },
+  { key: "р/с", label: "Расчётный счёт" },
+  { key: "БИК", label: "БИК" },
+  { key: "к/с", label: "Корр. счёт" },
+  { key: "договор", label: "Номер договора" },
+  { key: "должность", label: "Должность подписанта" },
+  { key: "подписант", label: "Подписант (Ф.И.О.)" },
+];
+
+const DEFAULT_REQUISITES = {
+  suppliers: [
+    {
+      id: "s1",
+      наименование: "ИП Яковлева Ирина Николаевна",
+      ИНН: "244603088772",
+      КПП: "",
+      адрес: "127560, РОССИЯ, МОСКВА г, ПЛЕЩЕЕВА ул, ДОМ 24, кв 303",
+      банк: 'ООО "Банк Точка"',
+      "р/с": "40802810220000130552",
+      БИК: "044525104",
+      "к/с": "30101810745374525104",
+      договор: "",
+      должность: "Индивидуальный предприниматель",
+      подписант: "Яковлева Ирина Николаевна",
+    },
+  ],
+  customers: [
+    {
+      id: "c1",
+      наименование: 'ООО "КОМПАНИЯ ТРАНСМИЛЯ"',
+      ИНН: "5031131690",
+      КПП: "044525411",
+      адрес: "142432, Московская область, г. Черноголовка, пр-д 3-Й, стр. 2/1, помещ. 31",
+      банк: 'Филиал "Центральный" Банка ВТБ (ПАО)',
+      "р/с": "40702810624570000268",
+      БИК: "044525411",
+      "к/с": "30101810145250000411",
+      договор: "70",
+      должность: "",
+      подписант: "",
+    },
+  ],
+  supplierId: "s1",
+  customerId: "c1",
+  customerColumn: "",
+};
+
+function loadRequisites() {
+  const stored = loadStored("requisites", null);
+  if (!stored || !Array.isArray(stored.suppliers) || !Array.isArray(stored.customers)) {
+    return JSON.parse(JSON.stringify(DEFAULT_REQUISITES));
+  }
+  return { ...DEFAULT_REQUISITES, ...stored };
+}
+
+function saveRequisites() {
+  saveStored("requisites", state.requisites);
+}
+
+function findRequisitesEntry(kind, id) {
+  const list = kind === "supplier" ? state.requisites.suppliers : state.requisites.customers;
+  return list.find((x) => x.id === id) || null;
+}
+
+function digitsOnly(v) {
+  return String(v ?? "").replace(/\D/g, "");
+}
+
+function lookupRowValue(rowObj, column) {
+  const col = normalizeHeader(column);
+  if (!col) return "";
+  if (Object.prototype.hasOwnProperty.call(rowObj, col)) return rowObj[col];
+  const found = Object.keys(rowObj).find((h) => h.toLowerCase() === col.toLowerCase());
+  return found ? rowObj[found] : "";
+}
+
+function resolveCustomer(rowObj) {
+  // The row column (ИНН or name) picks the customer; otherwise fall back to the default one.
+  const req = state.requisites;
+  const fallback = findRequisitesEntry("customer", req.customerId) || req.customers[0] || null;
+  const raw = String(lookupRowValue(rowObj, req.customerColumn) ?? "").trim();
+  if (!raw) return { customer: fallback, matched: !req.customerColumn };
+  const inn = digitsOnly(raw);
+  const byInn = inn.length >= 10 ? req.customers.find((c) => digitsOnly(c.ИНН) === inn) : null;
+  const byName = byInn ? null : req.customers.find((c) => String(c.наименование || "").trim().toLowerCase() === raw.toLowerCase());
+  const customer = byInn || byName;
+  return { customer: customer || fallback, matched: Boolean(customer) };
+}
+
+function requisitesSummary(entry) {
+  if (!entry) return "";
+  const innKpp = entry.КПП ? `ИНН/КПП ${entry.ИНН}/${entry.КПП}` : entry.ИНН ? `ИНН ${entry.ИНН}` : "";
+  return [
+    entry.наименование,
+    innKpp,
+    entry.адрес,
+    entry["р/с"] ? `р/с ${entry["р/с"]}` : "",
+    entry.банк ? `в банке ${entry.банк}` : "",
+    entry.БИК ? `БИК ${entry.БИК}` : "",
+    entry["к/с"] ? `к/с ${entry["к/с"]}` : "",
+  ]
+    .filter((x) => String(x || "").trim() !== "")
+    .join(", ");
+}
+
+function requisitesFields(prefix, entry) {
+  const e = entry || {};
+  const out = { [prefix]: e.наименование ?? "" };
+  for (const f of REQUISITE_FIELDS) out[`${prefix}.${f.key}`] = e[f.key] ?? "";
+  out[`${prefix}.ИНН/КПП`] = e.КПП ? `${e.ИНН ?? ""}/${e.КПП}` : e.ИНН ?? "";
+  out[`${prefix}.реквизиты`] = requisitesSummary(entry);
+  return out;
+}
+
+function buildServiceText(rowObj) {
+  const desc = String(rowObj["описание"] ?? "")
     .replace(/\u00A0/g, " ")
     .replace(/"/g, "")
     .replace(/\s+/g, " ")
     .trim();
-  const route = String(enriched["маршрут"] ?? "").replace(/\u00A0/g, " ").replace(/\s+/g, " ").trim();
-  const plate = String(enriched["номер авто"] ?? "").replace(/\u00A0/g, " ").replace(/\s+/g, " ").trim();
-  const driverRaw = String(enriched["водитель"] ?? "").replace(/\u00A0/g, " ").replace(/\s+/g, " ").trim();
+  const route = String(rowObj["маршрут"] ?? "").replace(/\u00A0/g, " ").replace(/\s+/g, " ").trim();
+  const plate = String(rowObj["номер авто"] ?? "").replace(/\u00A0/g, " ").replace(/\s+/g, " ").trim();
+  const driverRaw = String(rowObj["водитель"] ?? "").replace(/\u00A0/g, " ").replace(/\s+/g, " ").trim();
   const driverName = driverRaw.replace(/^вод\.?\s*/i, "").trim();
 
   const line1 = desc ? `${desc} "` : `"`;
   const line2 = [route, plate ? `а/м ${plate}` : "", "вод."].filter(Boolean).join(" ").trim();
   const line3 = driverName || driverRaw;
-  const service = [line1, line2, line3].filter((x) => String(x).trim() !== "").join("\n");
+  return [line1, line2, line3].filter((x) => String(x).trim() !== "").join("\n");
+}
 
-  return {
-    ...enriched,
-    основание: "договор № 70",
-    дата_ру: dateRu,
-    сумма_формат: sumFmt,
-    сумма_пропись: sumWords,
-    услуга: service,
-  };
+const VAT_MODES = {
+  none: { mode: "none", rate: 0 },
+  incl20: { mode: "incl", rate: 20 },
+  top20: { mode: "top", rate: 20 },
+};
+
+function parseVatSpec(value, fallback) {
+  // Per-row VAT column: "без НДС" / "нет" / "не облагается" / "освобождено" -> none; "20" / "20%" -> inclusive;
+  // "20% сверху" / "+20" -> on top. Anything else is an error, not the run's rate: a wrong guess changes the totals.
+  const s = String(value ?? "").trim().toLowerCase();
+  if (!s) return fallback;
+  if (/без|нет|^-$|не\s*облага|освобожд/.test(s)) return VAT_MODES.none;
+  const rate = parseAmount(s.replace(/[^\d.,]/g, ""));
+  if (!Number.isFinite(rate)) {
+    return { mode: "incl", rate: 0, error: `ставка «${String(value).trim()}» не распознана — укажите число (20, 20% сверху) или «без НДС».` };
+  }
+  const top = /сверх|^\+|top/.test(s);
+  return { mode: top ? "top" : "incl", rate };
 }
 
-function worksheetToRenderableHtml(ws, title) {
-  // Attempt to preserve merges & basic structure; styles won't be 1:1 with Excel.
-  let html = XLSX.utils.sheet_to_html(ws, { editable: false });
-  // sheet_to_html returns a full HTML document; extract table body if possible
-  const m = html.match(/<table[\s\S]*<\/table>/i);
-  const table = m ? m[0] : "<div>Не удалось отрендерить лист в HTML</div>";
-  return `<div class="sheet-wrap"><h3>${title}</h3>${table}</div>`;
+function resolveVat(rowObj, opts) {
+  return parseVatSpec(lookupRowValue(rowObj, opts.vatColumn), opts.vat);
 }
 
-function parseA1Range(rangeStr) {
-  if (!rangeStr) return null;
-  const s = String(rangeStr).trim();
-  if (!s) return null;
-  // accept A1 or A1:B5; also accept $A$1:$B$5
-  const cleaned = s.replace(/\$/g, "");
-  const parts = cleaned.split(":");
-  if (parts.length === 1) {
-    const c = XLSX.utils.decode_cell(parts[0]);
-    return { s: c, e: c };
+function vatRateLabel(vat) {
+  return vat.mode === "none" ? "Без НДС" : `${String(vat.rate).replace(".", ",")}%`;
+}
+
+function splitVat(amount, vat) {
+  // amount is what the sheet holds: gross for "incl", net for "top" and "none"
+  if (vat.mode === "incl") {
+    const tax = roundKop((amount * vat.rate) / (100 + vat.rate));
+    return { net: roundKop(amount - tax), tax, gross: amount };
   }
-  if (parts.length === 2) {
-    const sCell = XLSX.utils.decode_cell(parts[0]);
-    const eCell = XLSX.utils.decode_cell(parts[1]);
-    return { s: sCell, e: eCell };
+  if (vat.mode === "top") {
+    const tax = roundKop((amount * vat.rate) / 100);
+    return { net: amount, tax, gross: roundKop(amount + tax) };
   }
-  return null;
+  return { net: amount, tax: 0, gross: amount };
 }
 
-function parsePrintAreaFromWorkbook(wb, sheetName) {
-  // Excel stores as defined name: _xlnm.Print_Area => 'Sheet'!$A$1:$I$55
-  try {
-    const names = wb?.Workbook?.Names;
-    if (!Array.isArray(names)) return null;
-    const candidates = names.filter(
-      (n) =>
-        (n?.Name === "_xlnm.Print_Area" || n?.Name === "Print_Area") &&
-        typeof n?.Ref === "string" &&
-        n.Ref.includes("!")
-    );
-    for (const entry of candidates) {
-      // XLSX.js may provide local sheet scope via numeric Sheet index
-      if (Number.isFinite(entry?.Sheet) && wb?.SheetNames?.[entry.Sheet] === sheetName) {
-        const ref = String(entry.Ref).trim();
-        const m = ref.match(/!([^!]+)$/);
-        if (m) return m[1].replace(/\$/g, "");
-      }
-      // Or multiple sheet refs separated by commas
-      const refs = String(entry.Ref)
-        .split(",")
-        .map((x) => x.trim())
-        .filter(Boolean);
-      for (const ref of refs) {
-        const m =
-          ref.match(/^'?([^']+)'?!([A-Z]+\$?\d+:\$?[A-Z]+\$?\d+)$/i) ||
-          ref.match(/^([^!]+)!([A-Z]+\$?\d+:\$?[A-Z]+\$?\d+)$/i);
-        if (!m) continue;
-        const sn = m[1];
-        const r = m[2];
-        if (sn === sheetName) return r.replace(/\$/g, "");
-      }
-    }
-    return null;
-  } catch {
-    return null;
-  }
+function computeLineItem(rowObj, n, vat) {
+  // One spreadsheet row = one line of the item table.
+  // Optional columns: "количество"/"кол-во", "ед. изм."/"ед", "цена"; otherwise qty 1, "шт", price = сумма.
+  const qtyParsed = parseAmount(rowObj["количество"] ?? rowObj["кол-во"]);
+  const qty = Number.isFinite(qtyParsed) && qtyParsed > 0 ? qtyParsed : 1;
+  const unit = String(rowObj["ед. изм."] ?? rowObj["ед"] ?? "").trim() || "шт";
+  const sumParsed = parseAmount(rowObj.сумма);
+  const priceParsed = parseAmount(rowObj["цена"]);
+  const sum = Number.isFinite(sumParsed) ? sumParsed : Number.isFinite(priceParsed) ? roundKop(priceParsed * qty) : 0;
+  const price = Number.isFinite(priceParsed) ? priceParsed : roundKop(sum / qty);
+  const { net, tax, gross } = splitVat(sum, vat);
+  return {
+    "№": n,
+    наименование: buildServiceText(rowObj),
+    "кол-во": String(qty).replace(".", ","),
+    ед: unit,
+    цена: price,
+    цена_формат: formatRubAmount(price),
+    сумма: sum,
+    сумма_формат: formatRubAmount(sum),
+    ставка_ндс: vatRateLabel(vat),
+    ндс: tax,
+    ндс_формат: formatRubAmount(tax),
+    сумма_без_ндс: net,
+    сумма_без_ндс_формат: formatRubAmount(net),
+    сумма_с_ндс: gross,
+    сумма_с_ндс_формат: formatRubAmount(gross),
+    __vat: vat,
+  };
 }
 
-function getMergeMap(ws) {
-  const merges = ws?.["!merges"] || [];
-  const topLeftToSpan = new Map();
-  const covered = new Set();
-  for (const m of merges) {
-    const key = `${m.s.r},${m.s.c}`;
-    topLeftToSpan.set(key, { rowspan: m.e.r - m.s.r + 1, colspan: m.e.c - m.s.c + 1 });
-    for (let r = m.s.r; r <= m.e.r; r++) {
-      for (let c = m.s.c; c <= m.e.c; c++) {
-        if (r === m.s.r && c === m.s.c) continue;
-        covered.add(`${r},${c}`);
-      }
-    }
+function vatTotalsFields(items) {
+  const net = roundKop(items.reduce((acc, it) => acc + it.сумма_без_ндс, 0));
+  const tax = roundKop(items.reduce((acc, it) => acc + it.ндс, 0));
+  const gross = roundKop(items.reduce((acc, it) => acc + it.сумма_с_ндс, 0));
+  const modes = new Set(items.map((it) => `${it.__vat.mode}:${it.__vat.rate}`));
+  const vat = modes.size === 1 ? items[0].__vat : null;
+  const rateLabel = vat ? vatRateLabel(vat) : "по позициям";
+  let text = "Без НДС";
+  if (!vat || vat.mode !== "none") {
+    const label = vat ? `${vat.mode === "incl" ? "В том числе НДС" : "НДС"} (${rateLabel})` : "НДС";
+    text = `${label}: ${formatRubAmount(tax)}`;
   }
-  return { topLeftToSpan, covered };
+  return {
+    ставка_ндс: rateLabel,
+    ндс_текст: text,
+    сумма_без_ндс: net,
+    сумма_без_ндс_формат: formatRubAmount(net),
+    сумма_без_ндс_пропись: amountToWordsRubKop(net),
+    ндс: tax,
+    ндс_формат: formatRubAmount(tax),
+    ндс_пропись: amountToWordsRubKop(tax),
+    сумма_с_ндс: gross,
+    сумма_с_ндс_формат: formatRubAmount(gross),
+    сумма_с_ндс_пропись: amountToWordsRubKop(gross),
+  };
 }
 
-function worksheetRangeToHtml(ws, rangeA1, title) {
-  const range = parseA1Range(rangeA1) || (ws?.["!ref"] ? XLSX.utils.decode_range(ws["!ref"]) : null);
-  if (!range) return `<div class="sheet-wrap"><h3>${title}</h3><div>Пустой лист</div></div>`;
+// Payment QR (ГОСТ Р 56042-2014): "ST00012" header (format version 0001, UTF-8) and Key=Value pairs
+// separated by "|". Encoded locally by qrcode-generator — no online QR service is involved.
+const PAYMENT_QR_REQUIRED = [
+  ["Name", "наименование"],
+  ["PersonalAcc", "р/с"],
+  ["BankName", "банк"],
+  ["BIC", "БИК"],
+  ["CorrespAcc", "к/с"],
+];
+const paymentQrCache = new Map();
 
-  const { topLeftToSpan, covered } = getMergeMap(ws);
-  const rows = [];
-  const colgroup = [];
-  const cols = ws?.["!cols"] || [];
-  for (let c = range.s.c; c <= range.e.c; c++) {
-    const col = cols[c];
-    const wpx = col?.wpx;
-    const wch = col?.wch;
-    let style = "";
-    if (Number.isFinite(wpx)) style = ` style="width:${wpx}px"`;
-    else if (Number.isFinite(wch)) style = ` style="width:${Math.max(20, wch * 7)}px"`;
-    colgroup.push(`<col${style}>`);
+function paymentQrPayload(supplier, amount, invoiceNo, dateRu, vatText) {
+  // -> payload string, or "" when the supplier lacks the mandatory bank requisites
+  const clean = (v) => String(v ?? "").replace(/\|/g, " ").replace(/\s+/g, " ").trim();
+  const fields = [];
+  for (const [key, reqKey] of PAYMENT_QR_REQUIRED) {
+    const value = key === "PersonalAcc" || key === "BIC" || key === "CorrespAcc" ? digitsOnly(supplier?.[reqKey]) : clean(supplier?.[reqKey]);
+    if (!value) return "";
+    fields.push(`${key}=${value}`);
   }
-  rows.push(`<div class="sheet-wrap"><h3>${title}</h3><table style="table-layout:fixed">`);
-  if (colgroup.length) rows.push(`<colgroup>${colgroup.join("")}</colgroup>`);
-  for (let r = range.s.r; r <= range.e.r; r++) {
-    const tds = [];
-    for (let c = range.s.c; c <= range.e.c; c++) {
-      const posKey = `${r},${c}`;
-      if (covered.has(posKey)) continue;
-      const addr = XLSX.utils.encode_cell({ r, c });
-      const cell = ws?.[addr];
-      const raw = cell ? cell.v : "";
-      const val = formatValue(raw);
-      const span = topLeftToSpan.get(posKey);
-      const rs = span?.rowspan ? ` rowspan="${span.rowspan}"` : "";
-      const cs = span?.colspan ? ` colspan="${span.colspan}"` : "";
-      tds.push(`<td${rs}${cs}>${escapeHtml(val)}</td>`);
-    }
-    rows.push(`<tr>${tds.join("")}</tr>`);
+  if (digitsOnly(supplier.ИНН)) fields.push(`PayeeINN=${digitsOnly(supplier.ИНН)}`);
+  if (digitsOnly(supplier.КПП)) fields.push(`KPP=${digitsOnly(supplier.КПП)}`);
+  if (Number.isFinite(amount) && amount > 0) fields.push(`Sum=${Math.round(amount * 100)}`);
+  const purpose = clean(`Оплата по счёту № ${invoiceNo}${dateRu ? ` от ${dateRu}` : ""}. ${vatText}`).slice(0, 210);
+  fields.push(`Purpose=${purpose}`);
+  return `ST00012|${fields.join("|")}`;
+}
+
+function paymentQrHtml(payload) {
+  if (!payload || typeof qrcode !== "function") return "";
+  if (!paymentQrCache.has(payload)) {
+    qrcode.stringToBytes = qrcode.stringToBytesFuncs["UTF-8"];
+    const qr = qrcode(0, "M");
+    qr.addData(payload, "Byte");
+    qr.make();
+    paymentQrCache.set(payload, qr.createDataURL(4, 16)); // 4-module quiet zone
   }
-  rows.push(`</table></div>`);
-  return rows.join("");
+  return `<img class="qr-code" src="${paymentQrCache.get(payload)}" alt="QR-код для оплаты" style="width:30mm;height:30mm;image-rendering:pixelated" />`;
 }
 
-function escapeHtml(s) {
-  return String(s ?? "")
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/\"/g, "&quot;")
-    .replace(/'/g, "&#039;");
+// Scanned signature and stamp: images kept in localStorage as data URLs, placed by {подпись_исполнителя} and
+// {печать}. Each is an overlay anchored where the placeholder stands (a zero-size box), so it never moves
+// the layout around it; width and offsets are in mm.
+const SIGN_IMAGES = [
+  { key: "подпись_исполнителя", label: "Подпись исполнителя", defaults: { width: 35, dx: 5, dy: -10 } },
+  { key: "печать", label: "Печать", defaults: { width: 40, dx: 45, dy: -25 } },
+];
+const SIGN_IMAGE_MAX_BYTES = 1024 * 1024; // localStorage holds ~5 MB for the whole app
+
+function loadSignImages() {
+  const stored = loadStored("signImages", {});
+  return Object.fromEntries(SIGN_IMAGES.map((s) => [s.key, { ...s.defaults, src: "", ...(stored?.[s.key] || {}) }]));
 }
 
-function formatDateRu(v) {
-  // supports Date, ISO string, dd.mm.yyyy, etc.
-  if (v instanceof Date) {
-    const vv = new Date(v.getTime() + 5 * 60 * 60 * 1000);
-    const dd = String(vv.getDate()).padStart(2, "0");
-    const mm = String(vv.getMonth() + 1).padStart(2, "0");
-    const yyyy = vv.getFullYear();
-    return `${dd}.${mm}.${yyyy}`;
-  }
-  const s = String(v ?? "").trim();
-  if (!s) return "";
-  const iso = s.match(/^(\d{4})-(\d{2})-(\d{2})/);
-  if (iso) return `${iso[3]}.${iso[2]}.${iso[1]}`;
-  const ru = s.match(/^(\d{2})\.(\d{2})\.(\d{4})/);
-  if (ru) return `${ru[1]}.${ru[2]}.${ru[3]}`;
-  return s;
+function signImageHtml(img, label) {
+  if (!img?.src) return "";
+  const mm = (v) => `${Number(v) || 0}mm`;
+  return `<span class="sign-image" style="position:relative;display:inline-block;width:0;height:0;vertical-align:top;overflow:visible"><img src="${escapeHtml(
+    img.src
+  )}" alt="${escapeHtml(label)}" style="position:absolute;left:${mm(img.dx)};top:${mm(img.dy)};width:${mm(img.width)};height:auto;max-width:none" /></span>`;
 }
 
-function formatRubAmount(v) {
-  const n = typeof v === "number" ? v : parseFloat(String(v).replace(",", ".").replace(/\s/g, ""));
-  const x = Number.isFinite(n) ? n : 0;
-  const fixed = x.toFixed(2);
-  const [intPart, frac] = fixed.split(".");
-  const withSep = intPart.replace(/\B(?=(\d{3})+(?!\d))/g, "\u00A0");
-  return `${withSep},${frac}\u00A0₽`;
+function signImageFields(signed) {
+  // Documents only point at the image ({ __sign }); the up to 1 MB data URL is put in when the document is rendered,
+  // so it is not copied into every document the journal and the generation job store. Unsigned runs and missing
+  // images get empty values, so {#if печать}…{/if} in a template drops the whole block.
+  const images = loadSignImages();
+  return Object.fromEntries(
+    SIGN_IMAGES.map((s) => [s.key, signed && images[s.key].src ? { __html: "", __sign: s.key } : { __html: "" }])
+  );
 }
 
-function chooseForm(n, one, two, five) {
-  const n10 = n % 10;
-  const n100 = n % 100;
-  if (n100 >= 11 && n100 <= 19) return five;
-  if (n10 === 1) return one;
-  if (n10 >= 2 && n10 <= 4) return two;
-  return five;
+function signImagesSnapshot(docs) {
+  // The images a run's documents point at, stored once per journal run / generation job
+  const used = new Set(docs.flatMap((d) => SIGN_IMAGES.filter((s) => d[s.key]?.__sign).map((s) => s.key)));
+  const images = loadSignImages();
+  return Object.fromEntries([...used].map((key) => [key, images[key]]));
 }
 
-function numToWordsRu(n, female = false) {
-  const onesM = ["ноль", "один", "два", "три", "четыре", "пять", "шесть", "семь", "восемь", "девять"];
-  const onesF = ["ноль", "одна", "две", "три", "четыре", "пять", "шесть", "семь", "восемь", "девять"];
-  const teens = [
-    "десять",
-    "одиннадцать",
-    "двенадцать",
-    "тринадцать",
-    "четырнадцать",
-    "пятнадцать",
-    "шестнадцать",
-    "семнадцать",
-    "восемнадцать",
-    "девятнадцать",
-  ];
-  const tens = [
-    "",
-    "",
-    "двадцать",
-    "тридцать",
-    "сорок",
-    "пятьдесят",
-    "шестьдесят",
-    "семьдесят",
-    "восемьдесят",
-    "девяносто",
-  ];
-  const hundreds = [
-    "",
-    "сто",
-    "двести",
-    "триста",
-    "четыреста",
-    "пятьсот",
-    "шестьсот",
-    "семьсот",
-    "восемьсот",
-    "девятьсот",
-  ];
+function signImageValueHtml(v, signImages) {
+  const s = SIGN_IMAGES.find((x) => x.key === v.__sign);
+  return s ? signImageHtml(signImages?.[s.key], s.label) : "";
+}
 
-  const words = [];
-  const ones = female ? onesF : onesM;
+function withComputedFields(rowObj, idx, opts, groupRows, counters) {
+  // opts: readRunOptions(); groupRows: all data rows billed on this invoice (rowObj is the first one);
+  // counters: series -> next number, shared by all documents of one run (see nextInvoiceNumber).
+  const rows = Array.isArray(groupRows) && groupRows.length ? groupRows : [rowObj];
+  const dateRu = formatDateRu(rowObj["дата счёта"] ?? rowObj["Дата счёта"] ?? rowObj.дата);
+  // Only auto-fill invoice number if it's missing in the data
+  const hasInvoiceNo =
+    Object.prototype.hasOwnProperty.call(rowObj, "номер счёта") &&
+    rowObj["номер счёта"] != null &&
+    String(rowObj["номер счёта"]).trim() !== "";
+  const invoiceNo = hasInvoiceNo ? "" : nextInvoiceNumber(opts, dateRu, counters || new Map());
+  const enriched = { ...rowObj, ...(hasInvoiceNo ? {} : { "номер счёта": invoiceNo }), "__row_index": idx + 1 };
+  const items = rows.map((r, i) => computeLineItem(r, i + 1, resolveVat(r, opts)));
+  const vatTotals = vatTotalsFields(items);
+  // What the customer pays is always the gross amount; "итого" is the plain sum of the table lines
+  const amount = vatTotals.сумма_с_ндс;
+  const linesTotal = roundKop(items.reduce((acc, it) => acc + it.сумма, 0));
+  const sumFmt = formatRubAmount(amount);
+  const sumWords = amountToWordsRubKop(amount);
+  const service = items.map((it) => it.наименование).join("\n");
 
-  const nn = Math.abs(n);
-  const h = Math.floor(nn / 100);
-  const t = Math.floor((nn % 100) / 10);
-  const o = nn % 10;
-  if (h) words.push(hundreds[h]);
-  if (t === 1) {
-    words.push(teens[o]);
-  } else {
-    if (t) words.push(tens[t]);
-    if (o || words.length === 0) words.push(ones[o]);
+  const supplier = findRequisitesEntry("supplier", state.requisites.supplierId) || state.requisites.suppliers[0] || null;
+  const { customer, matched: customerMatched } = resolveCustomer(rowObj);
+  const contract = String(customer?.договор || supplier?.договор || "").trim();
+  const basisRaw = String(enriched["основание"] ?? "").trim();
+
+  const qrPayload = paymentQrPayload(supplier, amount, enriched["номер счёта"], dateRu, vatTotals.ндс_текст);
+
+  return {
+    ...enriched,
+    ...requisitesFields("поставщик", supplier),
+    ...requisitesFields("покупатель", customer),
+    __покупатель_найден: customerMatched,
+    __sheet_rows: rows.map((r) => r.__sheet_row),
+    основание: basisRaw || (contract ? `договор № ${contract}` : ""),
+    дата_ру: dateRu,
+    ...vatTotals,
+    сумма: amount,
+    сумма_формат: sumFmt,
+    сумма_пропись: sumWords,
+    итого: linesTotal,
+    итого_формат: formatRubAmount(linesTotal),
+    услуга: service,
+    позиции: items,
+    количество_позиций: items.length,
+    qr_оплаты: { __html: paymentQrHtml(qrPayload) },
+    __qr_payload: qrPayload,
+    ...opts.signFields,
+  };
+}
+
+function readVatMode() {
+  const preset = VAT_MODES[ui.vatMode.value];
+  if (preset) return preset;
+  const mode = ui.vatMode.value === "customTop" ? "top" : "incl";
+  const rate = parseAmount(ui.vatRate.value);
+  // A missing rate must not block loading and preview: it is reported by the check and stops only generation
+  if (!Number.isFinite(rate) || rate < 0) return { mode, rate: 0, error: "Укажите ставку НДС числом, например 10." };
+  return { mode, rate };
+}
+
+function readRunOptions() {
+  const invPattern = normalizeHeader(ui.invPattern.value) || DEFAULT_NUMBER_PATTERN;
+  compileNumberPattern(invPattern); // surface pattern errors early
+  return {
+    invPattern,
+    invStart: parseInt(String(ui.invStart.value || ""), 10), // NaN: continue from the registry
+    groupMode: ui.groupMode.value, // "none" | "invoice" | "column"
+    groupColumn: normalizeHeader(ui.groupColumn.value),
+    vat: readVatMode(),
+    vatColumn: normalizeHeader(ui.vatColumn.value),
+    signed: ui.signedToggle.checked,
+    signFields: signImageFields(ui.signedToggle.checked), // references to the images, see signImageFields()
+  };
+}
+
+function groupDataRows(rows, opts) {
+  if (opts.groupMode !== "invoice" && opts.groupMode !== "column") return rows.map((r) => [r]);
+  const column = opts.groupMode === "invoice" ? "номер счёта" : opts.groupColumn;
+  if (!column) throw new Error("Укажите колонку для группировки строк.");
+  const groups = [];
+  const byKey = new Map();
+  for (const r of rows) {
+    const key = String(formatValue(lookupRowValue(r, column))).trim();
+    // Rows without a key are never merged with anything
+    if (!key) {
+      groups.push([r]);
+      continue;
+    }
+    if (!byKey.has(key)) {
+      byKey.set(key, []);
+      groups.push(byKey.get(key));
+    }
+    byKey.get(key).push(r);
   }
-  return words.join(" ");
+  return groups;
 }
 
-function amountToWordsRubKop(amount) {
-  const n = typeof amount === "number" ? amount : parseFloat(String(amount).replace(",", ".").replace(/\s/g, ""));
-  const x = Number.isFinite(n) ? n : 0;
-  const rub = Math.floor(x + 1e-9);
-  const kop = Math.round((x - rub) * 100);
+function buildDocuments(rows, opts) {
+  const counters = new Map();
+  return groupDataRows(rows, opts).map((group, idx) =>
+    withComputedFields(group[0], idx, opts, group, counters)
+  );
+}
 
-  const parts = [];
-  const triads = [
-    { value: Math.floor(rub / 1_000_000_000) % 1000, unit: "млрд" },
-    { value: Math.floor(rub / 1_000_000) % 1000, unit: "млн" },
-    { value: Math.floor(rub / 1000) % 1000, unit: "тыс" },
-    { value: rub % 1000, unit: null },
-  ];
+// Invoice number registry: every generated invoice is recorded in localStorage, so numbering continues
+// between sessions and re-used numbers / holes in a series can be reported before generation.
+const DEFAULT_NUMBER_PATTERN = "{NNNN}";
 
-  const units = {
-    тыс: ["тысяча", "тысячи", "тысяч", true],
-    млн: ["миллион", "миллиона", "миллионов", false],
-    млрд: ["миллиард", "миллиарда", "миллиардов", false],
+function compileNumberPattern(pattern) {
+  // {год} / {гг} / {мм} come from the invoice date, {NNNN} is the counter (zero-padded to the number of N).
+  // The "series" is the number with the counter blanked out: "{год}-{NNNN}" restarts every year.
+  const tokens = String(pattern).split(/(\{[^{}]*\})/).filter(Boolean);
+  const counter = tokens.filter((t) => /^\{N+\}$/i.test(t));
+  if (counter.length !== 1) {
+    throw new Error(`Шаблон номера «${pattern}»: нужен ровно один счётчик вида {NNNN}.`);
+  }
+  const dateTokens = { "{год}": "\\d{4}", "{гг}": "\\d{2}", "{мм}": "\\d{2}" };
+  const reSource = tokens
+    .map((t) => {
+      if (t === counter[0]) return "(\\d+)";
+      const key = t.toLowerCase();
+      if (dateTokens[key]) return `(${dateTokens[key]})`;
+      return t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return { tokens, counter: counter[0], width: counter[0].length - 2, re: new RegExp(`^${reSource}$`, "i") };
+}
+
+function numberPatternSeries(compiled, dateRu) {
+  const m = String(dateRu || "").match(/^(\d{2})\.(\d{2})\.(\d{4})$/);
+  const now = new Date();
+  const year = m ? m[3] : String(now.getFullYear());
+  const month = m ? m[2] : String(now.getMonth() + 1).padStart(2, "0");
+  const values = { "{год}": year, "{гг}": year.slice(2), "{мм}": month };
+  return compiled.tokens.map((t) => (t === compiled.counter ? "{#}" : values[t.toLowerCase()] ?? t)).join("");
+}
+
+function parseInvoiceNumber(compiled, number) {
+  // -> { series, counter } if the number was built by this pattern, else null
+  const m = String(number ?? "").trim().match(compiled.re);
+  if (!m) return null;
+  let group = 0;
+  let counter = NaN;
+  const series = compiled.tokens
+    .map((t) => {
+      if (t === compiled.counter) {
+        counter = parseInt(m[++group], 10);
+        return "{#}";
+      }
+      if (/^\{(год|гг|мм)\}$/i.test(t)) return m[++group];
+      return t;
+    })
+    .join("");
+  return { series, counter };
+}
+
+function loadInvoiceRegistry() {
+  const list = loadStored("invoiceRegistry", []);
+  return Array.isArray(list) ? list : [];
+}
+
+function registryNextCounter(compiled, series) {
+  let max = 0;
+  for (const entry of loadInvoiceRegistry()) {
+    const parsed = parseInvoiceNumber(compiled, entry.номер);
+    if (parsed && parsed.series === series) max = Math.max(max, parsed.counter);
+  }
+  return max + 1;
+}
+
+function nextInvoiceNumber(opts, dateRu, counters) {
+  const compiled = compileNumberPattern(opts.invPattern || DEFAULT_NUMBER_PATTERN);
+  const series = numberPatternSeries(compiled, dateRu);
+  if (!counters.has(series)) {
+    counters.set(series, Number.isFinite(opts.invStart) ? opts.invStart : registryNextCounter(compiled, series));
+  }
+  const n = counters.get(series);
+  counters.set(series, n + 1);
+  return series.replace("{#}", String(n).padStart(compiled.width, "0"));
+}
+
+function recordIssuedInvoices(docs, fileNameOf) {
+  // Latest issue wins: re-generating an invoice replaces its entry instead of adding a twin
+  const byNumber = new Map(loadInvoiceRegistry().map((e) => [e.номер, e]));
+  const issuedAt = new Date().toISOString();
+  docs.forEach((doc, i) => {
+    const number = String(formatValue(doc["номер счёта"])).trim();
+    byNumber.delete(number);
+    byNumber.set(number, {
+      номер: number,
+      дата: doc.дата_ру || "",
+      покупатель: doc.покупатель || "",
+      сумма: doc.сумма,
+      файл: fileNameOf(doc, i),
+      выдан: issuedAt,
+    });
+  });
+  saveStored("invoiceRegistry", Array.from(byNumber.values()));
+}
+
+function reserveInvoiceNumbers(docs, jobId) {
+  // A generation job holds its numbers from the start: documents that fail keep theirs for «Повторить неудачные»,
+  // so a new run must not give them out again. The entry is replaced when the document is delivered and removed
+  // only if the job is discarded. Numbers already in the registry (a re-issue) are left as they are.
+  const registry = loadInvoiceRegistry();
+  const known = new Set(registry.map((e) => e.номер));
+  const reservedAt = new Date().toISOString();
+  for (const doc of docs) {
+    const number = String(formatValue(doc["номер счёта"])).trim();
+    if (!number || known.has(number)) continue;
+    known.add(number);
+    registry.push({
+      номер: number,
+      дата: doc.дата_ру || "",
+      покупатель: doc.покупатель || "",
+      сумма: doc.сумма,
+      файл: "",
+      выдан: reservedAt,
+      резерв: jobId,
+    });
+  }
+  saveStored("invoiceRegistry", registry);
+}
+
+function releaseReservedNumbers(jobId) {
+  const registry = loadInvoiceRegistry();
+  const kept = registry.filter((e) => e.резерв !== jobId);
+  if (kept.length !== registry.length) saveStored("invoiceRegistry", kept);
+}
+
+function registryIssues(docs, opts) {
+  // -> [{ level, row, message }]: numbers already issued earlier, and holes in the touched series
+  const issues = [];
+  const registry = loadInvoiceRegistry();
+  const byNumber = new Map(registry.map((e) => [e.номер, e]));
+  const compiled = compileNumberPattern(opts.invPattern || DEFAULT_NUMBER_PATTERN);
+  const countersBySeries = new Map();
+  const touched = new Set();
+  const addCounter = (number) => {
+    const parsed = parseInvoiceNumber(compiled, number);
+    if (!parsed) return null;
+    if (!countersBySeries.has(parsed.series)) countersBySeries.set(parsed.series, new Set());
+    countersBySeries.get(parsed.series).add(parsed.counter);
+    return parsed;
+  };
+  registry.forEach((e) => addCounter(e.номер));
+  for (const doc of docs) {
+    const number = String(formatValue(doc["номер счёта"])).trim();
+    const prev = byNumber.get(number);
+    if (prev) {
+      const when = prev.выдан ? formatDateRu(prev.выдан) : "";
+      issues.push({
+        level: "warning",
+        row: doc.__sheet_rows[0],
+        message: prev.резерв
+          ? `номер счёта «${number}» занят незавершённой генерацией от ${when}: ${prev.покупатель || "покупатель не указан"}, ${formatRubAmount(prev.сумма)}.`
+          : `номер счёта «${number}» уже выдан${when ? ` ${when}` : ""}: ${prev.покупатель || "покупатель не указан"}, ${formatRubAmount(prev.сумма)}, файл ${prev.файл || "—"}.`,
+      });
+    }
+    const parsed = addCounter(number);
+    if (parsed) touched.add(parsed.series);
+  }
+  for (const series of touched) {
+    const counters = Array.from(countersBySeries.get(series)).sort((a, b) => a - b);
+    const missing = [];
+    for (let i = 1; i < counters.length; i++) {
+      for (let n = counters[i - 1] + 1; n < counters[i] && missing.length < 21; n++) missing.push(n);
+    }
+    if (!missing.length) continue;
+    const shown = missing.slice(0, 20).map((n) => series.replace("{#}", String(n).padStart(compiled.width, "0")));
+    issues.push({
+      level: "warning",
+      row: null,
+      message: `в нумерации пропущены номера: ${shown.join(", ")}${missing.length > 20 ? " …" : ""}.`,
+    });
+  }
+  return issues;
+}
+
+function renderRegistryUi() {
+  const registry = loadInvoiceRegistry();
+  const last = registry[registry.length - 1];
+  const reserved = registry.filter((e) => e.резерв).length;
+  ui.registryInfo.textContent = registry.length
+    ? `Выдано номеров: ${registry.length}${reserved ? ` (из них ждут незавершённой генерации: ${reserved})` : ""}. ` +
+      `Последний: ${last.номер} от ${formatDateRu(last.выдан)}.`
+    : "Реестр пуст — номера начнутся с 1 (или со «Старта»).";
+  const rows = registry
+    .slice(-15)
+    .reverse()
+    .map(
+      (e) =>
+        `<tr><td>${escapeHtml(e.номер)}</td><td>${escapeHtml(e.дата)}</td><td>${escapeHtml(e.покупатель)}</td><td>${escapeHtml(
+          formatRubAmount(e.сумма)
+        )}</td><td>${escapeHtml(e.резерв ? "генерация не завершена" : e.файл)}</td></tr>`
+    )
+    .join("");
+  ui.registryTable.innerHTML = rows
+    ? `<thead><tr><th>Номер</th><th>Дата</th><th>Покупатель</th><th>Сумма</th><th>Файл</th></tr></thead><tbody>${rows}</tbody>`
+    : "";
+  ui.btnRegistryClear.disabled = !registry.length;
+}
+
+// Register of issued documents for accounting: one line per invoice (with its act), written with SheetJS.
+const REGISTER_FILENAME = "register.xlsx";
+
+function buildRegisterXlsx(docs, types, filesOf) {
+  // filesOf(doc, i) -> { [doc type id]: file name as saved }. One line per generated document — the invoice,
+  // the act, … of every row each get their own line with their type and file.
+  const header = [
+    "№",
+    "Документ",
+    "Номер счёта",
+    "Дата",
+    "Покупатель",
+    "ИНН покупателя",
+    "Услуга",
+    "Сумма без НДС",
+    "Ставка НДС",
+    "НДС",
+    "Сумма с НДС",
+    "Файл",
+    "Строки Excel",
+  ];
+  const toDate = (ru) => {
+    const m = String(ru || "").match(/^(\d{2})\.(\d{2})\.(\d{4})$/);
+    return m ? new Date(Date.UTC(+m[3], +m[2] - 1, +m[1])) : ru || "";
   };
+  const rows = [];
+  docs.forEach((doc, i) => {
+    const files = filesOf(doc, i);
+    for (const t of types) {
+      rows.push([
+        rows.length + 1,
+        t.label,
+        formatValue(doc["номер счёта"]),
+        toDate(doc.дата_ру),
+        doc.покупатель,
+        doc["покупатель.ИНН"],
+        doc.позиции.map((it) => String(it.наименование).replace(/\s+/g, " ").trim()).join("; "),
+        doc.сумма_без_ндс,
+        doc.ставка_ндс,
+        doc.ндс,
+        doc.сумма_с_ндс,
+        files[t.id],
+        doc.__sheet_rows.join(", "),
+      ]);
+    }
+  });
+  // Totals per type: an invoice and its act are the same money, a grand total would count it twice
+  const total = (key) => roundKop(docs.reduce((acc, d) => acc + d[key], 0));
+  for (const t of types) {
+    rows.push(["", `Итого: ${t.label}`, "", "", "", "", "", total("сумма_без_ндс"), "", total("ндс"), total("сумма_с_ндс"), "", ""]);
+  }
 
-  for (const tr of triads) {
-    if (!tr.value) continue;
-    const isFemale = tr.unit ? units[tr.unit][3] : false;
-    parts.push(numToWordsRu(tr.value, isFemale));
-    if (tr.unit) {
-      const form = chooseForm(tr.value, units[tr.unit][0], units[tr.unit][1], units[tr.unit][2]);
-      parts.push(form);
+  const ws = XLSX.utils.aoa_to_sheet([header, ...rows], { cellDates: true, dateNF: "dd\\.mm\\.yyyy" });
+  for (let r = 1; r <= rows.length; r++) {
+    for (const c of [7, 9, 10]) {
+      const cell = ws[XLSX.utils.encode_cell({ r, c })];
+      if (cell && cell.t === "n") cell.z = "#,##0.00";
     }
   }
-  if (parts.length === 0) parts.push("ноль");
+  ws["!cols"] = [6, 12, 14, 11, 32, 14, 48, 14, 12, 12, 14, 32, 12].map((wch) => ({ wch }));
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, "Реестр");
+  return XLSX.write(wb, { type: "array", bookType: "xlsx" });
+}
 
-  const rubForm = chooseForm(rub, "рубль", "рубля", "рублей");
-  const kopStr = String(kop).padStart(2, "0");
-  const kopForm = chooseForm(kop, "копейка", "копейки", "копеек");
-  return `${parts.join(" ")} ${rubForm} ${kopStr} ${kopForm}`;
+// 1C export: the same computed documents as CommerceML 2.05 (КоммерческаяИнформация) — each invoice as
+// "Счет на оплату" and its act as "Отпуск товара", with both parties' requisites, lines and VAT.
+const COMMERCEML_FILENAME = "1c_export.xml";
+
+function buildCommerceMlXml(docs, kinds) {
+  // kinds: which of "invoice" / "act" to export — only the document types actually generated
+  const x = (v) => escapeHtml(formatValue(v));
+  const money = (v) => (Number.isFinite(v) ? v : 0).toFixed(2);
+  const isoDate = (ru) => {
+    const m = String(ru || "").match(/^(\d{2})\.(\d{2})\.(\d{4})$/);
+    return m ? `${m[3]}-${m[2]}-${m[1]}` : formatValue(new Date()).slice(0, 10);
+  };
+  const party = (doc, prefix, role) => {
+    const inn = formatValue(doc[`${prefix}.ИНН`]);
+    const kpp = formatValue(doc[`${prefix}.КПП`]);
+    const account = formatValue(doc[`${prefix}.р/с`]);
+    return `
+        <Контрагент>
+          <Ид>${x(inn ? `${inn}${kpp ? `-${kpp}` : ""}` : doc[prefix])}</Ид>
+          <Наименование>${x(doc[prefix])}</Наименование>
+          <ПолноеНаименование>${x(doc[prefix])}</ПолноеНаименование>
+          <Роль>${role}</Роль>
+          <ИНН>${x(inn)}</ИНН>${kpp ? `\n          <КПП>${x(kpp)}</КПП>` : ""}
+          <АдресРегистрации><Представление>${x(doc[`${prefix}.адрес`])}</Представление></АдресРегистрации>${
+      account
+        ? `
+          <РасчетныеСчета>
+            <РасчетныйСчет>
+              <НомерСчета>${x(account)}</НомерСчета>
+              <Банк>
+                <Наименование>${x(doc[`${prefix}.банк`])}</Наименование>
+                <БИК>${x(doc[`${prefix}.БИК`])}</БИК>
+                <СчетКорреспондентский>${x(doc[`${prefix}.к/с`])}</СчетКорреспондентский>
+              </Банк>
+            </РасчетныйСчет>
+          </РасчетныеСчета>`
+        : ""
+    }
+        </Контрагент>`;
+  };
+  const taxBlock = (mode, amount, indent) =>
+    mode === "none"
+      ? ""
+      : `\n${indent}<Налоги><Налог><Наименование>НДС</Наименование><УчтеноВСумме>${mode === "incl"}</УчтеноВСумме><Сумма>${money(
+          amount
+        )}</Сумма></Налог></Налоги>`;
+  const lines = (doc) =>
+    doc.позиции
+      .map((it) => {
+        const qty = parseAmount(it["кол-во"]);
+        const rate = it.__vat.mode === "none" ? "Без налога" : String(it.__vat.rate);
+        return `
+        <Товар>
+          <Ид>${x(`${doc["номер счёта"]}-${it["№"]}`)}</Ид>
+          <Наименование>${x(String(it.наименование).replace(/\s+/g, " ").trim())}</Наименование>
+          <БазоваяЕдиница НаименованиеПолное="${x(it.ед)}">${x(it.ед)}</БазоваяЕдиница>
+          <ЗначенияРеквизитов>
+            <ЗначениеРеквизита><Наименование>ВидНоменклатуры</Наименование><Значение>Услуга</Значение></ЗначениеРеквизита>
+            <ЗначениеРеквизита><Наименование>ТипНоменклатуры</Наименование><Значение>Услуга</Значение></ЗначениеРеквизита>
+          </ЗначенияРеквизитов>
+          <ЦенаЗаЕдиницу>${money(it.цена)}</ЦенаЗаЕдиницу>
+          <Количество>${Number.isFinite(qty) ? qty : 1}</Количество>
+          <Сумма>${money(it.сумма)}</Сумма>
+          <СтавкиНалогов><СтавкаНалога><Наименование>НДС</Наименование><Ставка>${rate}</Ставка></СтавкаНалога></СтавкиНалогов>${taxBlock(
+          it.__vat.mode,
+          it.ндс,
+          "          "
+        )}
+        </Товар>`;
+      })
+      .join("");
+  const documentXml = (doc, kind) => {
+    const number = formatValue(doc["номер счёта"]);
+    const modes = new Set(doc.позиции.map((it) => it.__vat.mode));
+    // Document-level VAT only when all lines agree on how it is counted; otherwise it stays per line
+    const vatMode = modes.size === 1 ? [...modes][0] : "none";
+    return `
+  <Документ>
+    <Ид>${x(`${kind === "invoice" ? "inv" : "act"}-${number}`)}</Ид>
+    <Номер>${x(number)}</Номер>
+    <Дата>${isoDate(doc.дата_ру)}</Дата>
+    <ХозОперация>${kind === "invoice" ? "Счет на оплату" : "Отпуск товара"}</ХозОперация>
+    <Роль>Продавец</Роль>
+    <Валюта>руб</Валюта>
+    <Курс>1</Курс>
+    <Сумма>${money(doc.сумма_с_ндс)}</Сумма>
+    <Контрагенты>${party(doc, "поставщик", "Продавец")}${party(doc, "покупатель", "Покупатель")}
+    </Контрагенты>
+    <Основание>${x(doc.основание)}</Основание>${taxBlock(vatMode, doc.ндс, "    ")}
+    <Товары>${lines(doc)}
+    </Товары>
+    <Комментарий>${x(kind === "invoice" ? `Счёт № ${number}` : `Акт к счёту № ${number}`)}</Комментарий>
+  </Документ>`;
+  };
+  const created = new Date().toISOString().slice(0, 19);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<КоммерческаяИнформация ВерсияСхемы="2.05" ДатаФормирования="${created}">${docs
+    .map((doc) => kinds.map((kind) => documentXml(doc, kind)).join(""))
+    .join("")}
+</КоммерческаяИнформация>
+`;
 }
 
-async function ensureInvTemplateParsed() {
-  if (state.invHtmlParsed) return state.invHtmlParsed;
+// Document types: each selected document is printed once per type, from that type's HTML template,
+// into its own folder of the ZIP. Счёт and акт are built in; others (УПД, …) are kept in localStorage.
+const BUILTIN_DOC_TYPES = [
+  { id: "invoice", label: "Счёт", template: "inv.html", folder: "invoice", builtIn: true },
+  { id: "act", label: "Акт", template: "act.html", folder: "act", builtIn: true },
+  // Shipped with the app but off until ticked: most runs need only the invoice and the act
+  { id: "upd", label: "УПД", template: "upd.html", folder: "upd", builtIn: true, offByDefault: true },
+];
 
-  let fullHtml = state.invHtmlText;
-  if (!fullHtml) {
-    if (state.invHtmlFile) {
-      fullHtml = await readFileAsText(state.invHtmlFile);
-    } else {
-      try {
-        const res = await fetch("./inv.html", { cache: "no-store" });
-        if (!res.ok) throw new Error(`HTTP ${res.status}`);
-        fullHtml = await res.text();
-      } catch (e) {
-        throw new Error(
-          `Не смог загрузить inv.html. Запустите страницу через локальный сервер или выберите inv.html вручную. (${e.message || e})`
-        );
+function loadDocTypes() {
+  const custom = loadStored("docTypes", []);
+  const extra = (Array.isArray(custom) ? custom : []).filter(
+    (t) => t && t.id && t.template && t.folder && !BUILTIN_DOC_TYPES.some((b) => b.id === t.id)
+  );
+  // Unticked types are stored, not ticked ones, so a newly added type is generated by default; built-in types
+  // that start switched off keep the opposite list. A УПД type added by hand earlier stays on.
+  const off = new Set(loadStored("docTypesOff", []));
+  const on = new Set(loadStored("docTypesOn", []));
+  const customIds = new Set((Array.isArray(custom) ? custom : []).map((t) => t && t.id));
+  const migrated = BUILTIN_DOC_TYPES.filter((b) => b.offByDefault && customIds.has(b.id) && !off.has(b.id) && !on.has(b.id));
+  if (migrated.length) {
+    migrated.forEach((b) => on.add(b.id));
+    saveStored("docTypesOn", [...on]);
+  }
+  return [
+    ...BUILTIN_DOC_TYPES.map((t) => ({ ...t })),
+    ...extra.map(({ id, label, template, folder }) => ({ id, label: label || id, template, folder })),
+  ].map((t) => ({ ...t, enabled: t.offByDefault ? on.has(t.id) : !off.has(t.id) }));
+}
+
+function storedDocTypes(types) {
+  // -> the localStorage values describing the types: custom ones, and the ticks that differ from the default
+  return {
+    docTypes: types.filter((t) => !t.builtIn).map(({ id, label, template, folder }) => ({ id, label, template, folder })),
+    docTypesOff: types.filter((t) => !t.enabled && !t.offByDefault).map((t) => t.id),
+    docTypesOn: types.filter((t) => t.enabled && t.offByDefault).map((t) => t.id),
+  };
+}
+
+function saveDocTypesEnabled() {
+  const { docTypesOff, docTypesOn } = storedDocTypes(state.docTypes);
+  saveStored("docTypesOff", docTypesOff);
+  saveStored("docTypesOn", docTypesOn);
+}
+
+const NO_DOC_TYPES_MESSAGE = "Не выбран ни один тип документов — отметьте счёт, акт или другой тип во входной карточке.";
+
+function activeDocTypes() {
+  return state.docTypes.filter((t) => t.enabled);
+}
+
+function setDocTypeEnabled(id, enabled) {
+  const type = state.docTypes.find((t) => t.id === id);
+  if (!type) return;
+  type.enabled = enabled;
+  saveDocTypesEnabled();
+}
+
+function saveDocTypes() {
+  saveStored("docTypes", storedDocTypes(state.docTypes).docTypes);
+}
+
+// Templates taken from an imported package: { [type id]: { text, пакет, сохранено } }. They replace the
+// files next to the page, and this is the only copy of their text in the browser.
+function loadActiveTemplates() {
+  const map = loadStored("activeTemplates", {});
+  return map && typeof map === "object" && !Array.isArray(map) ? map : {};
+}
+
+function dropActiveTemplate(typeId) {
+  const map = loadActiveTemplates();
+  if (!map[typeId]) return;
+  delete map[typeId];
+  saveStored("activeTemplates", map);
+}
+
+function templateSourceLabel(type) {
+  // Which text renders for the type: the file next to the page unless a picked file, the editor or a package replaced it
+  const entry = state.templates[type.id];
+  if (entry?.file) return `${entry.file.name}, выбран вручную`;
+  if (entry?.edited) return `${type.template}, изменён в редакторе`;
+  const active = loadActiveTemplates()[type.id];
+  return active ? `${type.template} из пакета ${active.пакет}` : type.template;
+}
+
+function revertDocTypeTemplate(typeId) {
+  // Back to the file next to the page: drops the package template and an editor or hand-picked replacement
+  dropActiveTemplate(typeId);
+  delete state.templates[typeId];
+  const input = [...ui.docTypesList.querySelectorAll("input[data-doc-template]")].find((el) => el.dataset.docTemplate === typeId);
+  if (input) input.value = "";
+  renderDocTypeSources();
+  renderEditorVersions();
+}
+
+function addDocType(labelRaw, templateRaw, folderRaw) {
+  const label = normalizeHeader(labelRaw);
+  const template = normalizeHeader(templateRaw);
+  const folder = normalizeHeader(folderRaw).toLowerCase();
+  if (!label) throw new Error("Укажите название типа документа, например: УПД.");
+  if (!/^[\w.-]+\.html?$/i.test(template)) throw new Error("Имя шаблона — файл .html рядом со страницей, например: upd.html.");
+  if (!/^[a-z0-9_-]+$/.test(folder)) throw new Error("Папка в ZIP — латиница, цифры, «-» или «_», например: upd.");
+  if (state.docTypes.some((t) => t.id === folder || t.folder === folder)) throw new Error(`Папка «${folder}» уже занята.`);
+  const type = { id: folder, label, template, folder, enabled: true };
+  state.docTypes.push(type);
+  saveDocTypes();
+  renderDocTypesUi();
+  return type;
+}
+
+function removeDocType(id) {
+  const type = state.docTypes.find((t) => t.id === id);
+  if (!type || type.builtIn) return;
+  state.docTypes = state.docTypes.filter((t) => t.id !== id);
+  delete state.templates[id];
+  dropActiveTemplate(id);
+  saveDocTypes();
+  renderDocTypesUi();
+}
+
+function renderDocTypesUi() {
+  renderEditorTypes();
+  ui.docTypesList.innerHTML = state.docTypes
+    .map(
+      (t) => `<div class="row" style="margin-top: 10px">
+        <div class="field">
+          <label><input type="checkbox" data-doc-enabled="${escapeHtml(t.id)}"${t.enabled ? " checked" : ""} /> ${escapeHtml(
+            t.label
+          )}: HTML-шаблон (опционально, по умолчанию <code>${escapeHtml(t.template)}</code> рядом), папка в ZIP <code>${escapeHtml(
+            t.folder
+          )}/</code></label>
+          <input type="file" accept=".html,text/html" data-doc-template="${escapeHtml(t.id)}" />
+          <div class="small" data-doc-source="${escapeHtml(t.id)}"></div>
+        </div>
+        ${t.builtIn ? "" : `<div class="btns" style="align-self: end"><button class="danger" data-doc-remove="${escapeHtml(t.id)}">Удалить тип</button></div>`}
+      </div>`
+    )
+    .join("");
+  renderDocTypeSources();
+}
+
+function renderDocTypeSources() {
+  // Says when a type does not print from its file next to the page, with a way back to that file
+  for (const box of ui.docTypesList.querySelectorAll("[data-doc-source]")) {
+    const type = state.docTypes.find((t) => t.id === box.dataset.docSource);
+    const source = type ? templateSourceLabel(type) : "";
+    box.innerHTML =
+      type && source !== type.template
+        ? `Сейчас используется: ${escapeHtml(source)}. <button data-doc-revert="${escapeHtml(type.id)}">Вернуть файл</button>`
+        : "";
+  }
+}
+
+// Output naming: file and folder patterns use the template syntax ({поле}, {поле|текст}, {#if}…) over the
+// document fields plus {тип}, {папка}, {месяц}, {год}, {строка} and {n}; "/" in the folder pattern nests folders.
+const DEFAULT_FOLDER_PATTERN = "{папка}";
+const FILE_PATTERN_SOURCE = { name: "имени файла" };
+const FOLDER_PATTERN_SOURCE = { name: "папки" };
+
+function readNamingOptions() {
+  return {
+    filePattern: normalizeHeader(ui.fileNamePattern.value),
+    folderPattern: normalizeHeader(ui.folderPattern.value) || DEFAULT_FOLDER_PATTERN,
+    nameCol: normalizeHeader(ui.nameColumn.value),
+  };
+}
+
+function namingFields(doc, idx, type) {
+  const m = String(doc.дата_ру || "").match(/^(\d{2})\.(\d{2})\.(\d{4})$/);
+  return {
+    ...doc,
+    тип: type.label,
+    папка: type.folder,
+    месяц: m ? `${m[3]}-${m[2]}` : "",
+    год: m ? m[3] : "",
+    строка: doc.__sheet_rows?.[0] ?? "",
+    n: idx + 1,
+  };
+}
+
+function renderNamePattern(pattern, fields, source) {
+  // Each value is made filename-safe on its own, so a "/" inside the data never opens a folder
+  const safeValue = (v) => (isRawHtml(v) ? "" : escapeFilename(formatValue(v)));
+  return renderTemplateNodes(compileTemplate(pattern, source), [fields], safeValue);
+}
+
+function defaultBaseName(doc, idx, nameCol) {
+  if (nameCol) {
+    const key = Object.keys(doc).find((h) => h.toLowerCase() === nameCol.toLowerCase());
+    const val = key ? doc[key] : "";
+    if (val != null && String(val).trim() !== "") return escapeFilename(String(val));
+  } else if (doc["номер счёта"]) {
+    return escapeFilename(String(doc["номер счёта"]));
+  }
+  return `row_${String(idx + 1).padStart(4, "0")}`;
+}
+
+function buildOutputPaths(docs, types, opts) {
+  // opts: readNamingOptions() + { combined }. Returns per document { [type id]: path inside the ZIP }; in the
+  // combined mode all types share one file. Colliding paths get " (2)", " (3)"… in document order, so no
+  // archive entry is silently overwritten.
+  const used = new Set();
+  const unique = (dir, name) => {
+    for (let n = 1; ; n++) {
+      const path = `${dir}${n === 1 ? name : `${name} (${n})`}.pdf`;
+      if (!used.has(path.toLowerCase())) {
+        used.add(path.toLowerCase());
+        return path;
       }
     }
-    state.invHtmlText = fullHtml;
+  };
+  const pathFor = (doc, i, type) => {
+    const fields = namingFields(doc, i, type);
+    const dir = renderNamePattern(opts.folderPattern, fields, FOLDER_PATTERN_SOURCE)
+      .split("/")
+      .map((part) => escapeFilename(part).replace(/^\.+$/, ""))
+      .filter(Boolean)
+      .map((part) => `${part}/`)
+      .join("");
+    const name = opts.filePattern
+      ? escapeFilename(renderNamePattern(opts.filePattern, fields, FILE_PATTERN_SOURCE).replace(/\.pdf$/i, ""))
+      : defaultBaseName(doc, i, opts.nameCol);
+    return unique(dir, name || `row_${String(i + 1).padStart(4, "0")}`);
+  };
+  return docs.map((doc, i) => {
+    if (opts.combined) {
+      const path = pathFor(doc, i, { label: types.map((t) => t.label).join("+"), folder: "" });
+      return Object.fromEntries(types.map((t) => [t.id, path]));
+    }
+    return Object.fromEntries(types.map((t) => [t.id, pathFor(doc, i, t)]));
+  });
+}
+
+// Generation journal: one IndexedDB record per run with the computed documents and the templates
+// as they were, so any past invoice/act can be rebuilt exactly as issued.
+function templateVersion(parsed) {
+  // FNV-1a over the template text: a short stable id to tell template edits apart
+  const text = `${parsed.stylesText}\n${parsed.bodyHtmlWithPlaceholders}`;
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
   }
+  return h.toString(16).padStart(8, "0");
+}
 
-  const parser = new DOMParser();
-  const doc = parser.parseFromString(fullHtml, "text/html");
-  const stylesText = Array.from(doc.querySelectorAll("style"))
-    .map((s) => s.textContent || "")
-    .join("\n");
-  const bodyHtmlWithPlaceholders = doc.body ? doc.body.innerHTML : fullHtml;
-  state.invHtmlParsed = { stylesText, bodyHtmlWithPlaceholders };
-  return state.invHtmlParsed;
+function templateSnapshot(parsed) {
+  return {
+    name: parsed.name,
+    version: templateVersion(parsed),
+    stylesText: parsed.stylesText,
+    bodyHtmlWithPlaceholders: parsed.bodyHtmlWithPlaceholders,
+    bodyLine: parsed.bodyLine,
+  };
 }
 
-async function ensureActTemplateParsed() {
-  if (state.actHtmlParsed) return state.actHtmlParsed;
+async function recordGenerationRun(docs, meta) {
+  // meta: { mode, types, paths, files, book?, templates? } — paths: buildOutputPaths() result; a resumed job passes
+  // the book name and template snapshots it started with. The files are already saved by now, so a journal
+  // failure is only reported (returned as a status line), never thrown.
+  const run = {
+    создан: new Date().toISOString(),
+    книга: meta.book ?? (state.file?.name || ""),
+    режим: meta.mode,
+    движок: meta.engine || ui.pdfEngine.value,
+    подписи: meta.signImages || signImagesSnapshot(docs),
+    типы: meta.types.map(({ id, label, folder }) => ({ id, label, folder })),
+    шаблоны:
+      meta.templates || Object.fromEntries(meta.types.map((t) => [t.id, templateSnapshot(state.templates[t.id].parsed)])),
+    строк: docs.reduce((acc, d) => acc + d.__sheet_rows.length, 0),
+    номера: docs.map((d) => String(formatValue(d["номер счёта"])).trim()),
+    файлы: meta.files,
+    документы: docs.map((d, i) => ({ files: meta.paths[i], doc: d })),
+  };
+  try {
+    await dbRequest("runs", "readwrite", (store) => store.add(run));
+    return "";
+  } catch (e) {
+    return `Запуск не записан в журнал: ${e.message || e}`;
+  }
+}
 
-  let fullHtml = state.actHtmlText;
-  if (!fullHtml) {
-    if (state.actHtmlFile) {
-      fullHtml = await readFileAsText(state.actHtmlFile);
-    } else {
-      try {
-        const res = await fetch("./act.html", { cache: "no-store" });
-        if (!res.ok) throw new Error(`HTTP ${res.status}`);
-        fullHtml = await res.text();
-      } catch (e) {
-        throw new Error(
-          `Не смог загрузить act.html. Запустите страницу через локальный сервер или выберите act.html вручную. (${e.message || e})`
-        );
+function runDocTypes(run) {
+  // Runs recorded before document types became configurable only have счёт and акт
+  return run.типы || BUILTIN_DOC_TYPES.filter((t) => !t.offByDefault).map(({ id, label, folder }) => ({ id, label, folder }));
+}
+
+async function loadGenerationRuns() {
+  const runs = (await dbRequest("runs", "readonly", (store) => store.getAll())) || [];
+  return runs.sort((a, b) => b.id - a.id);
+}
+
+function runMatchesQuery(run, query) {
+  if (!query) return true;
+  const haystack = [
+    new Date(run.создан).toLocaleString("ru-RU"),
+    run.книга,
+    ...run.номера,
+    ...run.документы.map((d) => d.doc.покупатель),
+  ]
+    .join("\n")
+    .toLowerCase();
+  return haystack.includes(query);
+}
+
+async function renderJournalUi() {
+  let runs;
+  try {
+    runs = await loadGenerationRuns();
+  } catch (e) {
+    ui.journalInfo.textContent = e.message || String(e);
+    ui.journalList.innerHTML = "";
+    return;
+  }
+  const query = normalizeHeader(ui.journalSearch.value).toLowerCase();
+  const shown = runs.filter((r) => runMatchesQuery(r, query)).slice(0, 50);
+  ui.journalInfo.textContent = runs.length
+    ? `Запусков в журнале: ${runs.length}${query ? `, найдено: ${shown.length}` : ""}.`
+    : "Журнал пуст — запуски появятся здесь после генерации.";
+  ui.journalList.innerHTML = shown
+    .map((run) => {
+      const when = new Date(run.создан).toLocaleString("ru-RU");
+      const range = run.номера.length > 1 ? `№ ${run.номера[0]} … ${run.номера[run.номера.length - 1]}` : `№ ${run.номера[0] || ""}`;
+      const types = runDocTypes(run);
+      const tpl = types.map((t) => `${escapeHtml(run.шаблоны[t.id].name)} <code>${run.шаблоны[t.id].version}</code>`).join(", ");
+      const docs = run.документы
+        .map(
+          (d, i) => `<tr><td>${escapeHtml(formatValue(d.doc["номер счёта"]))}</td><td>${escapeHtml(d.doc.дата_ру)}</td><td>${escapeHtml(
+            d.doc.покупатель
+          )}</td><td>${escapeHtml(d.doc.сумма_формат)}</td><td>
+            ${types
+              .map(
+                (t) =>
+                  `<button data-journal-run="${run.id}" data-journal-doc="${i}" data-journal-kind="${escapeHtml(t.id)}">${escapeHtml(t.label)}</button>`
+              )
+              .join("\n")}
+          </td></tr>`
+        )
+        .join("");
+      return `<details><summary>${escapeHtml(when)} — ${escapeHtml(run.книга || "без имени")} — документов ${run.документы.length} (${escapeHtml(
+        range
+      )})</summary>
+        <div class="small">Строк данных: ${run.строк}. Файлы: ${escapeHtml(run.файлы.join(", "))}. Шаблоны: ${tpl}.</div>
+        <div class="btns" style="margin: 6px 0"><button data-journal-run="${run.id}" data-journal-kind="zip">${
+          run.режим === "single" ? "Скачать все (общие PDF)" : "Скачать все (ZIP)"
+        }</button></div>
+        <div class="rows-table"><table>${docs}</table></div>
+      </details>`;
+    })
+    .join("");
+}
+
+async function redownloadFromJournal(runId, kind, docIndex) {
+  const run = await dbRequest("runs", "readonly", (store) => store.get(runId));
+  if (!run) throw new Error("Запись журнала не найдена.");
+  // Rebuild with the engine the run was issued with; runs recorded before it was stored use the current one
+  assertDeps(run.движок || ui.pdfEngine.value, kind === "zip" ? run.режим : "");
+  const { engine, warning } = await resolvePdfEngine(run.движок || ui.pdfEngine.value);
+  const types = runDocTypes(run);
+  // Runs recorded before naming patterns keep only the base name
+  const pathOf = (t, entry) => entry.files?.[t.id] || (run.режим === "combined" ? `${entry.base}.pdf` : `${t.folder}/${entry.base}.pdf`);
+  // Runs recorded before the images were stored once per run have them inline in every document
+  const signImages = run.подписи || {};
+  const render = (t, entry) =>
+    htmlFragmentToPdfBlob(renderSheetHtml(run.шаблоны[t.id], entry.doc, signImages), pathOf(t, entry), engine);
+  const when = new Date(run.создан).toLocaleString("ru-RU");
+  if (kind === "zip" && run.режим === "single") {
+    // Issued as one PDF per type (invoices.pdf, acts.pdf, …) — give back the same files
+    const names = [];
+    for (const t of types) {
+      const pages = [];
+      for (let i = 0; i < run.документы.length; i++) {
+        setStatus([`PDF из журнала: ${t.folder}s.pdf, ${i + 1}/${run.документы.length}`, ""]);
+        pages.push(await render(t, run.документы[i]));
+      }
+      saveAs(await mergePdfBlobs(pages), `${t.folder}s.pdf`);
+      names.push(`${t.folder}s.pdf`);
+    }
+    setStatus([`Готово: ${names.join(", ")} (из журнала, запуск ${when})`, warning].filter(Boolean));
+    return;
+  }
+  if (kind === "zip") {
+    const perVolume = readZipVolumeSize();
+    const volumes = createZipVolumes(`pdf_out_${run.id}`, perVolume, run.документы.length);
+    for (let i = 0; i < run.документы.length; i++) {
+      const entry = run.документы[i];
+      const first = pathOf(types[0], entry);
+      setStatus([`PDF из журнала: ${i + 1}/${run.документы.length} — ${first}`, ""]);
+      if (run.режим === "combined") {
+        const pages = types.map((t) => run.шаблоны[t.id]);
+        volumes.file(first, await multiPagePdfBlob(pages, entry.doc, first, engine, signImages));
+      } else {
+        for (const t of types) volumes.file(pathOf(t, entry), await render(t, entry));
       }
+      await volumes.endDocument();
     }
-    state.actHtmlText = fullHtml;
+    const names = await volumes.finish();
+    setStatus([`Готово: ${volumesText(names, perVolume)} (из журнала, запуск ${when})`, warning].filter(Boolean));
+    return;
   }
+  const entry = run.документы[docIndex];
+  if (!entry) throw new Error("Документ не найден в записи журнала.");
+  const type = types.find((t) => t.id === kind);
+  if (!type) throw new Error("Тип документа не найден в записи журнала.");
+  const fileName = `${type.folder}_${pathOf(type, entry).split("/").pop()}`;
+  saveAs(await render(type, entry), fileName);
+  setStatus([`Готово: ${fileName} (из журнала)`, warning].filter(Boolean));
+}
 
-  const parser = new DOMParser();
-  const doc = parser.parseFromString(fullHtml, "text/html");
+function worksheetToRenderableHtml(ws, title) {
+  // Attempt to preserve merges & basic structure; styles won't be 1:1 with Excel.
+  let html = XLSX.utils.sheet_to_html(ws, { editable: false });
+  // sheet_to_html returns a full HTML document; extract table body if possible
+  const m = html.match(/<table[\s\S]*<\/table>/i);
+  const table = m ? m[0] : "<div>Не удалось отрендерить лист в HTML</div>";
+  return `<div class="sheet-wrap"><h3>${title}</h3>${table}</div>`;
+}
+
+function parseA1Range(rangeStr) {
+  if (!rangeStr) return null;
+  const s = String(rangeStr).trim();
+  if (!s) return null;
+  // accept A1 or A1:B5; also accept $A$1:$B$5
+  const cleaned = s.replace(/\$/g, "");
+  const parts = cleaned.split(":");
+  if (parts.length === 1) {
+    const c = XLSX.utils.decode_cell(parts[0]);
+    return { s: c, e: c };
+  }
+  if (parts.length === 2) {
+    const sCell = XLSX.utils.decode_cell(parts[0]);
+    const eCell = XLSX.utils.decode_cell(parts[1]);
+    return { s: sCell, e: eCell };
+  }
+  return null;
+}
+
+function parsePrintAreaFromWorkbook(wb, sheetName) {
+  // Excel stores as defined name: _xlnm.Print_Area => 'Sheet'!$A$1:$I$55
+  try {
+    const names = wb?.Workbook?.Names;
+    if (!Array.isArray(names)) return null;
+    const candidates = names.filter(
+      (n) =>
+        (n?.Name === "_xlnm.Print_Area" || n?.Name === "Print_Area") &&
+        typeof n?.Ref === "string" &&
+        n.Ref.includes("!")
+    );
+    for (const entry of candidates) {
+      // XLSX.js may provide local sheet scope via numeric Sheet index
+      if (Number.isFinite(entry?.Sheet) && wb?.SheetNames?.[entry.Sheet] === sheetName) {
+        const ref = String(entry.Ref).trim();
+        const m = ref.match(/!([^!]+)$/);
+        if (m) return m[1].replace(/\$/g, "");
+      }
+      // Or multiple sheet refs separated by commas
+      const refs = String(entry.Ref)
+        .split(",")
+        .map((x) => x.trim())
+        .filter(Boolean);
+      for (const ref of refs) {
+        const m =
+          ref.match(/^'?([^']+)'?!([A-Z]+\$?\d+:\$?[A-Z]+\$?\d+)$/i) ||
+          ref.match(/^([^!]+)!([A-Z]+\$?\d+:\$?[A-Z]+\$?\d+)$/i);
+        if (!m) continue;
+        const sn = m[1];
+        const r = m[2];
+        if (sn === sheetName) return r.replace(/\$/g, "");
+      }
+    }
+    return null;
+  } catch {
+    return null;
+  }
+}
+
+function getMergeMap(ws) {
+  const merges = ws?.["!merges"] || [];
+  const topLeftToSpan = new Map();
+  const covered = new Set();
+  for (const m of merges) {
+    const key = `${m.s.r},${m.s.c}`;
+    topLeftToSpan.set(key, { rowspan: m.e.r - m.s.r + 1, colspan: m.e.c - m.s.c + 1 });
+    for (let r = m.s.r; r <= m.e.r; r++) {
+      for (let c = m.s.c; c <= m.e.c; c++) {
+        if (r === m.s.r && c === m.s.c) continue;
+        covered.add(`${r},${c}`);
+      }
+    }
+  }
+  return { topLeftToSpan, covered };
+}
+
+function worksheetRangeToHtml(ws, rangeA1, title) {
+  const range = parseA1Range(rangeA1) || (ws?.["!ref"] ? XLSX.utils.decode_range(ws["!ref"]) : null);
+  if (!range) return `<div class="sheet-wrap"><h3>${title}</h3><div>Пустой лист</div></div>`;
+
+  const { topLeftToSpan, covered } = getMergeMap(ws);
+  const rows = [];
+  const colgroup = [];
+  const cols = ws?.["!cols"] || [];
+  for (let c = range.s.c; c <= range.e.c; c++) {
+    const col = cols[c];
+    const wpx = col?.wpx;
+    const wch = col?.wch;
+    let style = "";
+    if (Number.isFinite(wpx)) style = ` style="width:${wpx}px"`;
+    else if (Number.isFinite(wch)) style = ` style="width:${Math.max(20, wch * 7)}px"`;
+    colgroup.push(`<col${style}>`);
+  }
+  rows.push(`<div class="sheet-wrap"><h3>${title}</h3><table style="table-layout:fixed">`);
+  if (colgroup.length) rows.push(`<colgroup>${colgroup.join("")}</colgroup>`);
+  for (let r = range.s.r; r <= range.e.r; r++) {
+    const tds = [];
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      const posKey = `${r},${c}`;
+      if (covered.has(posKey)) continue;
+      const addr = XLSX.utils.encode_cell({ r, c });
+      const cell = ws?.[addr];
+      const raw = cell ? cell.v : "";
+      const val = formatValue(raw);
+      const span = topLeftToSpan.get(posKey);
+      const rs = span?.rowspan ? ` rowspan="${span.rowspan}"` : "";
+      const cs = span?.colspan ? ` colspan="${span.colspan}"` : "";
+      tds.push(`<td${rs}${cs}>${escapeHtml(val)}</td>`);
+    }
+    rows.push(`<tr>${tds.join("")}</tr>`);
+  }
+  rows.push(`</table></div>`);
+  return rows.join("");
+}
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+}
+
+function formatDateRu(v) {
+  // supports Date, ISO string, dd.mm.yyyy, etc.
+  if (v instanceof Date) {
+    const vv = new Date(v.getTime() + 5 * 60 * 60 * 1000);
+    const dd = String(vv.getDate()).padStart(2, "0");
+    const mm = String(vv.getMonth() + 1).padStart(2, "0");
+    const yyyy = vv.getFullYear();
+    return `${dd}.${mm}.${yyyy}`;
+  }
+  const s = String(v ?? "").trim();
+  if (!s) return "";
+  const iso = s.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return `${iso[3]}.${iso[2]}.${iso[1]}`;
+  const ru = s.match(/^(\d{2})\.(\d{2})\.(\d{4})/);
+  if (ru) return `${ru[1]}.${ru[2]}.${ru[3]}`;
+  return s;
+}
+
+function parseAmount(v) {
+  if (typeof v === "number") return v;
+  return parseFloat(String(v ?? "").replace(",", ".").replace(/\s/g, ""));
+}
+
+function roundKop(x) {
+  return Math.round(x * 100) / 100;
+}
+
+function formatRubAmount(v) {
+  const n = parseAmount(v);
+  const x = Number.isFinite(n) ? n : 0;
+  const fixed = x.toFixed(2);
+  const [intPart, frac] = fixed.split(".");
+  const withSep = intPart.replace(/\B(?=(\d{3})+(?!\d))/g, "\u00A0");
+  return `${withSep},${frac}\u00A0₽`;
+}
+
+function chooseForm(n, one, two, five) {
+  const n10 = n % 10;
+  const n100 = n % 100;
+  if (n100 >= 11 && n100 <= 19) return five;
+  if (n10 === 1) return one;
+  if (n10 >= 2 && n10 <= 4) return two;
+  return five;
+}
+
+function numToWordsRu(n, female = false) {
+  const onesM = ["ноль", "один", "два", "три", "четыре", "пять", "шесть", "семь", "восемь", "девять"];
+  const onesF = ["ноль", "одна", "две", "три", "четыре", "пять", "шесть", "семь", "восемь", "девять"];
+  const teens = [
+    "десять",
+    "одиннадцать",
+    "двенадцать",
+    "тринадцать",
+    "четырнадцать",
+    "пятнадцать",
+    "шестнадцать",
+    "семнадцать",
+    "восемнадцать",
+    "девятнадцать",
+  ];
+  const tens = [
+    "",
+    "",
+    "двадцать",
+    "тридцать",
+    "сорок",
+    "пятьдесят",
+    "шестьдесят",
+    "семьдесят",
+    "восемьдесят",
+    "девяносто",
+  ];
+  const hundreds = [
+    "",
+    "сто",
+    "двести",
+    "триста",
+    "четыреста",
+    "пятьсот",
+    "шестьсот",
+    "семьсот",
+    "восемьсот",
+    "девятьсот",
+  ];
+
+  const words = [];
+  const ones = female ? onesF : onesM;
+
+  const nn = Math.abs(n);
+  const h = Math.floor(nn / 100);
+  const t = Math.floor((nn % 100) / 10);
+  const o = nn % 10;
+  if (h) words.push(hundreds[h]);
+  if (t === 1) {
+    words.push(teens[o]);
+  } else {
+    if (t) words.push(tens[t]);
+    if (o || words.length === 0) words.push(ones[o]);
+  }
+  return words.join(" ");
+}
+
+function amountToWordsRubKop(amount) {
+  const n = parseAmount(amount);
+  const x = Number.isFinite(n) ? n : 0;
+  const rub = Math.floor(x + 1e-9);
+  const kop = Math.round((x - rub) * 100);
+
+  const parts = [];
+  const triads = [
+    { value: Math.floor(rub / 1_000_000_000) % 1000, unit: "млрд" },
+    { value: Math.floor(rub / 1_000_000) % 1000, unit: "млн" },
+    { value: Math.floor(rub / 1000) % 1000, unit: "тыс" },
+    { value: rub % 1000, unit: null },
+  ];
+
+  const units = {
+    тыс: ["тысяча", "тысячи", "тысяч", true],
+    млн: ["миллион", "миллиона", "миллионов", false],
+    млрд: ["миллиард", "миллиарда", "миллиардов", false],
+  };
+
+  for (const tr of triads) {
+    if (!tr.value) continue;
+    const isFemale = tr.unit ? units[tr.unit][3] : false;
+    parts.push(numToWordsRu(tr.value, isFemale));
+    if (tr.unit) {
+      const form = chooseForm(tr.value, units[tr.unit][0], units[tr.unit][1], units[tr.unit][2]);
+      parts.push(form);
+    }
+  }
+  if (parts.length === 0) parts.push("ноль");
+
+  const rubForm = chooseForm(rub, "рубль", "рубля", "рублей");
+  const kopStr = String(kop).padStart(2, "0");
+  const kopForm = chooseForm(kop, "копейка", "копейки", "копеек");
+  return `${parts.join(" ")} ${rubForm} ${kopStr} ${kopForm}`;
+}
+
+function parseHtmlTemplate(fullHtml, name) {
+  const parser = new DOMParser();
+  const doc = parser.parseFromString(fullHtml, "text/html");
   const stylesText = Array.from(doc.querySelectorAll("style"))
     .map((s) => s.textContent || "")
     .join("\n");
-  const bodyHtmlWithPlaceholders = doc.body ? doc.body.innerHTML : fullHtml;
-  state.actHtmlParsed = { stylesText, bodyHtmlWithPlaceholders };
-  return state.actHtmlParsed;
+  // Keep the body markup as written: serializing the DOM would move {#each}/{#if} text out of <table>
+  // (HTML foster-parenting) and shift line numbers used in template error messages.
+  const m = fullHtml.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+  const bodyHtmlWithPlaceholders = m ? m[1] : doc.body ? doc.body.innerHTML : fullHtml;
+  const bodyLine = m ? fullHtml.slice(0, m.index + m[0].length - m[1].length - "</body>".length).split("\n").length : 1;
+  const parsed = { name, stylesText, bodyHtmlWithPlaceholders, bodyLine };
+  compileTemplate(bodyHtmlWithPlaceholders, parsed); // surface syntax errors right away
+  return parsed;
+}
+
+async function ensureTemplateParsed(type) {
+  const entry = state.templates[type.id] || (state.templates[type.id] = { file: null, text: null, parsed: null });
+  if (entry.parsed) return entry.parsed;
+
+  let fullHtml = entry.text;
+  if (!fullHtml) {
+    const stored = loadActiveTemplates()[type.id];
+    if (entry.file) {
+      fullHtml = await readFileAsText(entry.file);
+    } else if (stored) {
+      fullHtml = stored.text;
+    } else {
+      try {
+        const res = await fetch(`./${type.template}`, { cache: "no-store" });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        fullHtml = await res.text();
+      } catch (e) {
+        throw new Error(
+          `Не смог загрузить ${type.template}. Запустите страницу через локальный сервер или выберите ${type.template} вручную. (${e.message || e})`
+        );
+      }
+    }
+    entry.text = fullHtml;
+  }
+
+  entry.parsed = parseHtmlTemplate(fullHtml, type.template);
+  return entry.parsed;
+}
+
+async function ensureTemplatesParsed() {
+  for (const type of activeDocTypes()) await ensureTemplateParsed(type);
+}
+
+function templatesReady() {
+  return activeDocTypes().every((type) => state.templates[type.id]?.parsed);
+}
+
+function parsedTemplates() {
+  return activeDocTypes().map((type) => state.templates[type.id]?.parsed).filter(Boolean);
+}
+
+function isRawHtml(v) {
+  // Computed fields that are markup by design (e.g. {qr_оплаты}) come as { __html } and skip escaping
+  return v != null && typeof v === "object" && typeof v.__html === "string";
+}
+
+function escapeTemplateValue(v) {
+  if (isRawHtml(v)) return v.__html;
+  // Braces are encoded too, so substituted data is never picked up as a placeholder again.
+  return escapeHtml(formatValue(v)).replace(/\{/g, "&#123;").replace(/\}/g, "&#125;");
+}
+
+// Template language (safe alongside CSS braces: tokens never contain ':' ';' or newlines):
+//   {ключ} / {{ключ}}            value, HTML-escaped
+//   {ключ|текст}                 value or fallback text when empty
+//   {#if ключ}…{else}…{/if}      conditional section ({#if !ключ} negates)
+//   {#each список}…{/each}       repeat for every element; element keys shadow outer keys, {@index} is 1-based
+const TEMPLATE_TOKEN_RE = /\{\{([^{}\n\r:;]+)\}\}|\{([^{}\n\r:;]+)\}/g;
+const templateCache = new Map();
+
+function templateError(source, line, message) {
+  const name = source?.name || "шаблон";
+  return new Error(`Шаблон ${name}, строка ${line}: ${message}`);
+}
+
+function compileTemplate(text, source) {
+  const cacheKey = `${source?.name || ""}\u0000${source?.bodyLine || 1}\u0000${text}`;
+  if (templateCache.has(cacheKey)) return templateCache.get(cacheKey);
+
+  const firstLine = source?.bodyLine || 1;
+  const root = { type: "root", children: [] };
+  const stack = [root];
+  let pos = 0;
+  let line = firstLine;
+  const pushText = (t) => {
+    if (t) stack[stack.length - 1].children.push({ type: "text", text: t });
+  };
+  const countLines = (t) => {
+    for (let i = 0; i < t.length; i++) if (t.charCodeAt(i) === 10) line++;
+  };
+
+  TEMPLATE_TOKEN_RE.lastIndex = 0;
+  let m;
+  while ((m = TEMPLATE_TOKEN_RE.exec(text))) {
+    const before = text.slice(pos, m.index);
+    pushText(before);
+    countLines(before);
+    pos = m.index + m[0].length;
+    const token = String(m[1] ?? m[2]).trim();
+    const top = stack[stack.length - 1];
+    const directive = token.match(/^([#/])\s*(\S+)\s*(.*)$/);
+
+    if (token === "else") {
+      if (top.type !== "if" || top.elseChildren) throw templateError(source, line, "{else} без открытого {#if}.");
+      top.elseChildren = [];
+      top.children = top.elseChildren;
+    } else if (directive && directive[1] === "#") {
+      const kind = directive[2];
+      const arg = directive[3].trim();
+      if (kind !== "if" && kind !== "each") throw templateError(source, line, `неизвестная конструкция {#${kind}}.`);
+      if (!arg) throw templateError(source, line, `в {#${kind}} не указано поле.`);
+      const negate = kind === "if" && arg.startsWith("!");
+      const node = {
+        type: kind,
+        key: negate ? arg.slice(1).trim() : arg,
+        negate,
+        line,
+        thenChildren: [],
+        elseChildren: null,
+      };
+      node.children = node.thenChildren;
+      top.children.push(node);
+      stack.push(node);
+    } else if (directive && directive[1] === "/") {
+      const kind = directive[2];
+      if (top.type === "root") throw templateError(source, line, `лишний {/${kind}} — блок не открыт.`);
+      if (top.type !== kind) {
+        throw templateError(source, line, `ожидался {/${top.type}} для {#${top.type} ${top.key}} (строка ${top.line}), а найден {/${kind}}.`);
+      }
+      stack.pop();
+    } else {
+      const bar = token.indexOf("|");
+      const key = (bar === -1 ? token : token.slice(0, bar)).trim();
+      const fallback = bar === -1 ? null : token.slice(bar + 1).trim();
+      top.children.push({ type: "var", key, fallback, line });
+    }
+    countLines(m[0]);
+  }
+  pushText(text.slice(pos));
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw templateError(source, open.line, `не закрыт {#${open.type} ${open.key}} — добавьте {/${open.type}}.`);
+  }
+
+  if (templateCache.size > 50) templateCache.clear();
+  templateCache.set(cacheKey, root.children);
+  return root.children;
+}
+
+function lookupScope(scopes, key) {
+  for (const scope of scopes) {
+    if (Object.prototype.hasOwnProperty.call(scope, key)) return { found: true, value: scope[key] };
+  }
+  const lower = key.toLowerCase();
+  for (const scope of scopes) {
+    const found = Object.keys(scope).find((h) => h.toLowerCase() === lower);
+    if (found) return { found: true, value: scope[found] };
+  }
+  return { found: false, value: undefined };
+}
+
+function isTemplateValueEmpty(v) {
+  if (v == null || v === false || v === 0) return true;
+  if (Array.isArray(v)) return v.length === 0;
+  if (isRawHtml(v)) return !v.__sign && v.__html.trim() === "";
+  return formatValue(v).trim() === "";
+}
+
+function renderTemplateNodes(nodes, scopes, escapeValue = escapeTemplateValue) {
+  // escapeValue: how substituted values are written out — HTML-escaped for documents, filename-safe for names
+  let out = "";
+  for (const node of nodes) {
+    if (node.type === "text") {
+      out += node.text;
+    } else if (node.type === "var") {
+      if (!node.key) continue;
+      const { value } = lookupScope(scopes, node.key);
+      out += escapeValue(node.fallback != null && isTemplateValueEmpty(value) ? node.fallback : value);
+    } else if (node.type === "if") {
+      const { value } = lookupScope(scopes, node.key);
+      const truthy = !isTemplateValueEmpty(value) !== node.negate;
+      out += renderTemplateNodes(truthy ? node.thenChildren : node.elseChildren || [], scopes, escapeValue);
+    } else if (node.type === "each") {
+      const { value } = lookupScope(scopes, node.key);
+      const list = Array.isArray(value) ? value : [];
+      list.forEach((item, i) => {
+        const itemScope = item && typeof item === "object" ? item : { ".": item };
+        out += renderTemplateNodes(node.thenChildren, [{ ...itemScope, "@index": i + 1 }, ...scopes], escapeValue);
+      });
+    }
+  }
+  return out;
+}
+
+function fillHtmlTemplateFragment(htmlFragment, rowObj, source, signImages) {
+  // IMPORTANT: inv.html contains normal CSS braces { ... }.
+  // So we only replace tokens like {номер счёта} / {сумма_формат} (no ':' ';' or newlines).
+  // source: parsed template ({ name, bodyLine }) — used to name the template and line in syntax errors.
+  // signImages: the images a journal run / job stored; by default the ones set up now
+  let images = signImages;
+  const escapeValue = (v) => {
+    if (!isRawHtml(v) || !v.__sign) return escapeTemplateValue(v);
+    images = images || loadSignImages();
+    return signImageValueHtml(v, images);
+  };
+  return renderTemplateNodes(compileTemplate(String(htmlFragment ?? ""), source), [rowObj], escapeValue);
+}
+
+function renderSheetHtml(parsed, rowObj, signImages) {
+  // parsed: parseHtmlTemplate() result — the current template or a snapshot from the journal
+  const styleTag = parsed.stylesText ? `<style>${parsed.stylesText}</style>` : "";
+  const body = fillHtmlTemplateFragment(parsed.bodyHtmlWithPlaceholders, rowObj, parsed, signImages);
+  // override: ensure top-left alignment inside pdf capture
+  // Also slightly reduce height to avoid rounding that can create a blank 2nd page.
+  const override = `<style>.sheet{margin:0 !important; position:relative; top:0; left:0; height:296.5mm !important; min-height:296.5mm !important; overflow:hidden;}</style>`;
+  return `${styleTag}${override}${body}`;
+}
+
+function renderDocumentHtml(type, rowObj) {
+  const parsed = state.templates[type.id]?.parsed;
+  if (!parsed) throw new Error(`${type.template} не загружен`);
+  return renderSheetHtml(parsed, rowObj);
+}
+
+// Validation report: which placeholders resolve, which columns are unused, per-row problems.
+const SERVICE_SOURCE_FIELDS = ["описание", "маршрут", "номер авто", "водитель"];
+const MONEY_SOURCE_FIELDS = ["сумма", "цена", "количество", "кол-во", "ед. изм.", "ед"];
+
+function computedFieldSources(key, opts) {
+  const k = key.toLowerCase();
+  if (k === "дата_ру") return ["дата счёта", "Дата счёта", "дата"];
+  if (k === "услуга" || k === "наименование") return SERVICE_SOURCE_FIELDS;
+  if (k === "позиции") return [...SERVICE_SOURCE_FIELDS, ...MONEY_SOURCE_FIELDS, opts.vatColumn];
+  if (/^(сумма|ндс|итого|цена|ставка_ндс|количество_позиций|кол-во|ед$)/.test(k)) {
+    return [...MONEY_SOURCE_FIELDS, opts.vatColumn];
+  }
+  if (k.startsWith("покупатель")) return [state.requisites.customerColumn];
+  if (k === "qr_оплаты") return MONEY_SOURCE_FIELDS;
+  return ALIAS_DERIVED[k] || [];
+}
+
+function collectPlaceholderUsage(nodes, scopeChains, out) {
+  // Walks the template with the real data: a key "resolves" if any document (or list item) has it.
+  const check = (key) => {
+    if (!scopeChains.length) return null; // e.g. a list that is empty in every document
+    return scopeChains.some((chain) => lookupScope(chain, key).found);
+  };
+  for (const node of nodes) {
+    if (node.type === "text" || !node.key) continue;
+    out.push({ key: node.key, kind: node.type, line: node.line, ok: check(node.key) });
+    if (node.type === "if") {
+      collectPlaceholderUsage(node.thenChildren, scopeChains, out);
+      if (node.elseChildren) collectPlaceholderUsage(node.elseChildren, scopeChains, out);
+    } else if (node.type === "each") {
+      const inner = [];
+      for (const chain of scopeChains) {
+        const list = lookupScope(chain, node.key).value;
+        if (!Array.isArray(list)) continue;
+        list.forEach((item, i) => {
+          const itemScope = item && typeof item === "object" ? item : { ".": item };
+          inner.push([{ ...itemScope, "@index": i + 1 }, ...chain]);
+        });
+      }
+      collectPlaceholderUsage(node.thenChildren, inner, out);
+    }
+  }
+  return out;
+}
+
+function unusedDataColumns(referencedKeys, opts) {
+  const sources = new Set();
+  const visit = (key) => {
+    const k = normalizeHeader(key).toLowerCase();
+    if (!k || sources.has(k)) return;
+    sources.add(k);
+    computedFieldSources(k, opts).forEach(visit);
+  };
+  referencedKeys.forEach(visit);
+  [opts.groupColumn, opts.vatColumn, state.requisites.customerColumn, normalizeHeader(ui.nameColumn.value), "основание"].forEach(visit);
+  if (opts.groupMode === "invoice") visit("номер счёта");
+
+  // Semantic fields reach the data through the column mapping
+  const used = new Set();
+  for (const [field, col] of Object.entries(state.mapping || {})) {
+    if (col && sources.has(field.toLowerCase())) used.add(col);
+  }
+  return state.dataHeaders.filter((h) => !used.has(h) && !sources.has(h.toLowerCase()));
+}
+
+function buildValidationReport(docs, opts, templates) {
+  const report = { templates: [], unusedColumns: [], issues: [], errors: 0, warnings: 0 };
+  const addIssue = (level, row, message) => {
+    report.issues.push({ level, row, message });
+    if (level === "error") report.errors++;
+    else report.warnings++;
+  };
+
+  const referenced = [];
+  for (const parsed of templates) {
+    if (!parsed) continue;
+    const usage = collectPlaceholderUsage(compileTemplate(parsed.bodyHtmlWithPlaceholders, parsed), docs.map((d) => [d]), []);
+    const byKey = new Map();
+    for (const u of usage) {
+      referenced.push(u.key);
+      const entry = byKey.get(u.key) || { key: u.key, lines: [], ok: u.ok };
+      entry.lines.push(u.line);
+      if (entry.ok === false || u.ok === false) entry.ok = false;
+      else if (entry.ok || u.ok) entry.ok = true;
+      byKey.set(u.key, entry);
+    }
+    const placeholders = Array.from(byKey.values());
+    for (const p of placeholders) {
+      if (p.ok === false) addIssue("error", null, `${parsed.name}: плейсхолдер {${p.key}} не найден в данных (строка шаблона ${p.lines.join(", ")}).`);
+    }
+    report.templates.push({ name: parsed.name, placeholders });
+  }
+  report.unusedColumns = unusedDataColumns(referenced, opts);
+  if (opts.vat.error) addIssue("error", null, `НДС: ${opts.vat.error} Пока ставки нет, суммы НДС посчитаны по 0%.`);
+  if (referenced.includes("qr_оплаты") && docs.some((d) => !d.__qr_payload)) {
+    addIssue("warning", null, "QR для оплаты не построен: у поставщика не заполнены наименование, р/с, банк, БИК или к/с.");
+  } else if (referenced.includes("qr_оплаты") && typeof qrcode !== "function") {
+    addIssue("warning", null, "QR для оплаты не построен: не загрузилась библиотека qrcode-generator.");
+  }
+  if (opts.signed) {
+    const images = loadSignImages();
+    for (const s of SIGN_IMAGES) {
+      if (referenced.includes(s.key) && !images[s.key].src) {
+        addIssue("warning", null, `${s.label}: изображение не загружено — {${s.key}} в подписанных документах останется пустым.`);
+      }
+    }
+  }
+
+  selectedDataRows().forEach((row, i) => {
+    const rowNo = row.__sheet_row || i + 1;
+    const rowVat = resolveVat(row, opts);
+    if (rowVat.error && rowVat !== opts.vat) addIssue("error", rowNo, `НДС: ${rowVat.error} Пока суммы НДС посчитаны по 0%.`);
+    if (!Number.isFinite(parseAmount(row.сумма)) && !Number.isFinite(parseAmount(row["цена"]))) {
+      addIssue("error", rowNo, `пустая или нечисловая сумма${formatValue(row.сумма) ? ` («${formatValue(row.сумма)}»)` : ""}.`);
+    }
+    const dateRaw = row["дата счёта"] ?? row["Дата счёта"] ?? row.дата;
+    if (dateRaw == null || formatValue(dateRaw).trim() === "") {
+      addIssue("warning", rowNo, "нет даты.");
+    } else if (!/^\d{2}\.\d{2}\.\d{4}$/.test(formatDateRu(dateRaw))) {
+      addIssue("warning", rowNo, `дата не распознана: «${formatValue(dateRaw)}».`);
+    }
+  });
+
+  const byNumber = new Map();
+  for (const doc of docs) {
+    const no = String(formatValue(doc["номер счёта"])).trim();
+    if (!byNumber.has(no)) byNumber.set(no, []);
+    byNumber.get(no).push(doc);
+    if (doc.__покупатель_найден === false) {
+      const value = formatValue(lookupRowValue(doc, state.requisites.customerColumn));
+      addIssue("warning", doc.__sheet_rows[0], `покупатель «${value}» не найден в справочнике — использован покупатель по умолчанию.`);
+    }
+  }
+  for (const [no, list] of byNumber) {
+    if (list.length < 2) continue;
+    const rows = list.map((d) => d.__sheet_rows[0]).join(", ");
+    addIssue("error", list[1].__sheet_rows[0], `номер счёта «${no}» повторяется (строки ${rows}).`);
+  }
+  for (const it of registryIssues(docs, opts)) addIssue(it.level, it.row, it.message);
+  return report;
+}
+
+function renderValidationReport(report) {
+  if (!report) {
+    ui.report.innerHTML = "";
+    return;
+  }
+  const parts = [
+    `<div><b>Проверка:</b> ошибок ${report.errors}, предупреждений ${report.warnings}</div>`,
+  ];
+  for (const t of report.templates) {
+    const bad = t.placeholders.filter((p) => p.ok === false).length;
+    const codes = t.placeholders
+      .map((p) => {
+        const cls = p.ok === false ? "bad" : p.ok ? "ok" : "";
+        const title = p.ok === false ? "не найден в данных" : p.ok ? "найден" : "не проверен (пустой список)";
+        return `<code class="${cls}" title="${title}, строки: ${p.lines.join(", ")}">{${escapeHtml(p.key)}}</code>`;
+      })
+      .join(" ");
+    parts.push(
+      `<details${bad ? " open" : ""}><summary>${escapeHtml(t.name)}: плейсхолдеров ${t.placeholders.length}, не найдено ${bad}</summary><div class="codes">${codes}</div></details>`
+    );
+  }
+  if (report.unusedColumns.length) {
+    parts.push(`<div>Не используются колонки: ${report.unusedColumns.map((c) => `<code>${escapeHtml(c)}</code>`).join(" ")}</div>`);
+  }
+  const shown = report.issues.slice(0, 200);
+  if (shown.length) {
+    const items = shown
+      .map((it) => `<li class="${it.level === "error" ? "bad" : "warn"}">${it.row ? `Строка ${it.row}: ` : ""}${escapeHtml(it.message)}</li>`)
+      .join("");
+    const more = report.issues.length > shown.length ? `<li>…и ещё ${report.issues.length - shown.length}</li>` : "";
+    parts.push(`<ul>${items}${more}</ul>`);
+  }
+  ui.report.innerHTML = parts.join("");
+}
+
+function templateSeemsTiny(ws) {
+  if (!ws || !ws["!ref"]) return true;
+  try {
+    const r = XLSX.utils.decode_range(ws["!ref"]);
+    const rows = r.e.r - r.s.r + 1;
+    const cols = r.e.c - r.s.c + 1;
+    return rows * cols <= 20; // heuristic
+  } catch {
+    return true;
+  }
+}
+
+function shouldUseFallback(templateMode, wsInvoice, wsAct) {
+  if (templateMode === "fallback") return true;
+  if (templateMode === "excel") return false;
+  // auto
+  // If user provides explicit print areas, we can still render a full A4 grid even when the sheet is "tiny".
+  const hasExplicitPrintArea =
+    (ui.printAreaAct && String(ui.printAreaAct.value || "").trim() !== "");
+  if (hasExplicitPrintArea) return false;
+  return templateSeemsTiny(wsInvoice) || templateSeemsTiny(wsAct);
+}
+
+function defaultInvoiceHtml(rowObj) {
+  const no = formatValue(rowObj["номер счёта"] || "");
+  const date = formatValue(rowObj["дата счёта"] || rowObj.дата || "");
+  const route = formatValue(rowObj["маршрут"] || "");
+  const car = formatValue(rowObj["авто"] || rowObj["номер авто"] || "");
+  const driver = formatValue(rowObj["водитель"] || "");
+  const amount = formatValue(rowObj["сумма"] || "");
+  const service = formatValue(rowObj["услуга"] || "");
+
+  return `
+    <div>
+      <h3>Счёт № ${no}</h3>
+      <div style="display:flex; justify-content:space-between; gap:12px; font-size:12px; margin-bottom:10px;">
+        <div><b>Дата счёта:</b> ${date}</div>
+        <div><b>Основание:</b> Перевозка груза</div>
+      </div>
+      <table>
+        <tr><th style="width:32%">Параметр</th><th>Значение</th></tr>
+        <tr><td>Маршрут</td><td>${route}</td></tr>
+        <tr><td>Автомобиль</td><td>${car}</td></tr>
+        <tr><td>Водитель</td><td>${driver}</td></tr>
+        <tr><td>Услуга</td><td>${service}</td></tr>
+        <tr><td><b>Сумма</b></td><td><b>${amount}</b></td></tr>
+      </table>
+      <div style="margin-top:14px; font-size:12px;">
+        <div>Поставщик: ____________________</div>
+        <div style="margin-top:10px;">Покупатель: ____________________</div>
+      </div>
+    </div>
+  `.trim();
+}
+
+function defaultActHtml(rowObj) {
+  const no = formatValue(rowObj["номер счёта"] || "");
+  const date = formatValue(rowObj["дата счёта"] || rowObj.дата || "");
+  const route = formatValue(rowObj["маршрут"] || "");
+  const amount = formatValue(rowObj["сумма"] || "");
+  return `
+    <div>
+      <h3>Акт № ${no}</h3>
+      <div style="display:flex; justify-content:space-between; gap:12px; font-size:12px; margin-bottom:10px;">
+        <div><b>Дата:</b> ${date}</div>
+        <div><b>К счёту №</b> ${no}</div>
+      </div>
+      <table>
+        <tr><th style="width:32%">Наименование работ/услуг</th><th>Маршрут</th><th style="width:18%">Сумма</th></tr>
+        <tr><td>Перевозка груза</td><td>${route}</td><td style="text-align:right">${amount}</td></tr>
+      </table>
+      <div style="margin-top:14px; font-size:12px;">
+        <div>Исполнитель: ____________________</div>
+        <div style="margin-top:10px;">Заказчик: ____________________</div>
+      </div>
+    </div>
+  `.trim();
+}
+
+function scopeCss(cssText, scope) {
+  // Prefix every selector with `scope`, so several templates (each styling `.sheet`, `h1`, `table`…)
+  // can share one page without overriding each other. @page is dropped: the page box comes from jsPDF.
+  // Parsed by the browser itself (media "not all" keeps it from applying to the page meanwhile)
+  const style = document.createElement("style");
+  style.media = "not all";
+  style.textContent = cssText;
+  document.head.appendChild(style);
+  const scopeSelector = (sel) => {
+    const s = sel.trim();
+    return /^(html|body|:root)\b/i.test(s) ? s.replace(/^(html|body|:root)/i, scope) : `${scope} ${s}`;
+  };
+  const walk = (rules) =>
+    Array.from(rules)
+      .map((rule) => {
+        if (/^@page/i.test(rule.cssText)) return "";
+        if (rule.selectorText != null) {
+          return `${rule.selectorText.split(",").map(scopeSelector).join(", ")} { ${rule.style.cssText} }`;
+        }
+        if (rule.cssRules && rule.media) return `@media ${rule.media.mediaText} { ${walk(rule.cssRules)} }`;
+        return rule.cssText;
+      })
+      .filter(Boolean)
+      .join("\n");
+  try {
+    return style.sheet ? walk(style.sheet.cssRules) : cssText;
+  } finally {
+    style.remove();
+  }
+}
+
+function buildMultiPageContainer(pages, engine = ui.pdfEngine.value, signImages) {
+  // pages: [{ parsed, rowObj }] — one A4 page per document type of the same row, each with its template's
+  // styles scoped to its own page
+  const container = document.createElement("div");
+  container.style.width = "794px"; // ~A4 at 96dpi (8.27in*96)
+  container.style.padding = "0";
+  container.style.margin = "0";
+  container.style.background = "white";
+  container.style.color = "#111827";
+
+  const pageStyle = `
+    <style>
+      .pdf-page {
+        width: 794px;
+        padding: 0;
+        page-break-after: always;
+      }
+      .pdf-page:last-child { page-break-after: auto; }
+      .pdf-page .sheet { margin: 0 !important; position: relative; height: 296.5mm !important; min-height: 296.5mm !important; overflow: hidden; }
+    </style>
+  `;
+
+  container.innerHTML = `${pageStyle}${engine === "vector" ? PDF_VECTOR_STYLE : ""}${pages
+    .map(({ parsed, rowObj }, i) => {
+      const css = parsed.stylesText ? `<style>${scopeCss(parsed.stylesText, `.pdf-page-${i}`)}</style>` : "";
+      return `<div class="pdf-page pdf-page-${i}">${css}${fillHtmlTemplateFragment(parsed.bodyHtmlWithPlaceholders, rowObj, parsed, signImages)}</div>`;
+    })
+    .join("")}`;
+  return container;
+}
+
+async function multiPagePdfBlob(parsedList, rowObj, filenameBase, engine = ui.pdfEngine.value, signImages) {
+  // One PDF with a page per template for the given row (the "one file per row" mode)
+  const host = document.createElement("div");
+  host.style.position = "fixed";
+  host.style.left = "-100000px";
+  host.style.top = "0";
+  host.style.background = "white";
+  host.appendChild(buildMultiPageContainer(parsedList.map((parsed) => ({ parsed, rowObj })), engine, signImages));
+  document.body.appendChild(host);
+  try {
+    return await htmlContainerToPdfBlob(host.firstChild, filenameBase, engine);
+  } finally {
+    host.remove();
+  }
+}
+
+// Text PDF engine: jsPDF draws the DOM through its canvas-like context (html2canvas walks the layout),
+// so the PDF gets real, selectable text. Arimo is metric-compatible with Arial used by the templates.
+const PDF_FONT_FAMILY = "PdfSans";
+const PDF_FONT_URLS = {
+  normal: "https://cdn.jsdelivr.net/npm/@expo-google-fonts/arimo@0.4.3/400Regular/Arimo_400Regular.ttf",
+  bold: "https://cdn.jsdelivr.net/npm/@expo-google-fonts/arimo@0.4.3/700Bold/Arimo_700Bold.ttf",
+};
+const PDF_VECTOR_STYLE = `<style>.sheet, .sheet * { font-family: "${PDF_FONT_FAMILY}", Arial, sans-serif !important; }</style>`;
+
+function pdfFragmentHtml(fragmentHtml, engine) {
+  // What htmlFragmentToPdfBlob lays out: the text engine puts its own font over the template's
+  return engine === "vector" ? `${fragmentHtml}${PDF_VECTOR_STYLE}` : fragmentHtml;
+}
+
+function arrayBufferToBase64(buf) {
+  const bytes = new Uint8Array(buf);
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin);
+}
+
+async function loadPdfFonts() {
+  if (state.pdfFonts) return state.pdfFonts;
+  const read = async (style) => {
+    const file = style === "bold" ? state.pdfFontBoldFile || state.pdfFontFile : state.pdfFontFile;
+    if (file) return readFileAsArrayBuffer(file);
+    const res = await fetch(PDF_FONT_URLS[style]);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return res.arrayBuffer();
+  };
+  const buffers = {};
+  try {
+    buffers.normal = await read("normal");
+    buffers.bold = await read("bold");
+  } catch (e) {
+    throw new Error(
+      `Не удалось загрузить шрифт для текстового PDF (${e.message || e}). Выберите TTF-файл шрифта или переключите «Движок PDF» на «Картинка».`
+    );
+  }
+  const fonts = { normal: arrayBufferToBase64(buffers.normal), bold: arrayBufferToBase64(buffers.bold) };
+  // Lay the page out with the very font that goes into the PDF, so line breaks match the drawn glyphs
+  if (typeof FontFace === "function" && document.fonts) {
+    for (const style of ["normal", "bold"]) {
+      const face = new FontFace(PDF_FONT_FAMILY, buffers[style], { weight: style === "bold" ? "700" : "400" });
+      document.fonts.add(await face.load());
+    }
+  }
+  state.pdfFonts = fonts;
+  return fonts;
+}
+
+async function resolvePdfEngine(engine) {
+  // -> { engine, warning }. The text engine needs its font from the CDN unless a TTF was picked; when the CDN is
+  // out of reach the run goes on with the image engine and says so, instead of failing every PDF.
+  if (engine !== "vector") return { engine, warning: "" };
+  try {
+    await loadPdfFonts();
+    return { engine, warning: "" };
+  } catch (e) {
+    if (state.pdfFontFile) throw e; // the picked file itself is broken: the user has to know
+    return {
+      engine: "raster",
+      warning:
+        "Внимание: шрифт для текстового PDF не загрузился с CDN, поэтому PDF сделаны движком «Картинка». " +
+        "Чтобы получить текстовый PDF без доступа к CDN, выберите TTF-файл в поле «Шрифт для текстового PDF».",
+    };
+  }
+}
+
+async function sheetsToVectorPdfBlob(sheets) {
+  const fonts = await loadPdfFonts();
+  const pdf = new window.jspdf.jsPDF({ unit: "pt", format: "a4", orientation: "portrait" });
+  pdf.addFileToVFS("PdfSans-Regular.ttf", fonts.normal);
+  pdf.addFont("PdfSans-Regular.ttf", PDF_FONT_FAMILY, "normal");
+  pdf.addFileToVFS("PdfSans-Bold.ttf", fonts.bold);
+  pdf.addFont("PdfSans-Bold.ttf", PDF_FONT_FAMILY, "bold");
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  // One `.sheet` per A4 page; whatever does not fit the page is cut, as in the image engine
+  for (let i = 0; i < sheets.length; i++) {
+    if (i > 0) pdf.addPage();
+    await pdf.html(sheets[i], {
+      x: 0,
+      y: 0,
+      margin: 0,
+      width: pageWidth,
+      windowWidth: sheets[i].offsetWidth || 794,
+      autoPaging: false,
+      html2canvas: { backgroundColor: "#ffffff", useCORS: true, scrollY: 0 },
+    });
+  }
+  return pdf.output("blob");
+}
+
+// engine: "vector" | "raster" — the current setting, or the one a journal run / job was made with
+async function htmlContainerToPdfBlob(container, filenameBase, engine = ui.pdfEngine.value) {
+  if (engine === "vector") {
+    const sheets = Array.from(container.querySelectorAll(".sheet"));
+    return sheetsToVectorPdfBlob(sheets.length ? sheets : [container]);
+  }
+  // html2pdf options tuned for readability
+  const opt = {
+    margin: 0,
+    filename: `${filenameBase}.pdf`,
+    image: { type: "jpeg", quality: 0.95 },
+    html2canvas: { scale: 2, useCORS: true, backgroundColor: "#ffffff" },
+    jsPDF: { unit: "pt", format: "a4", orientation: "portrait" },
+    pagebreak: { mode: ["css", "legacy"] },
+  };
+  const worker = html2pdf().set(opt).from(container);
+  const pdf = await worker.toPdf().get("pdf");
+  return pdf.output("blob");
+}
+
+async function htmlFragmentToPdfBlob(fragmentHtml, filenameBase, engine = ui.pdfEngine.value) {
+  // Render a single A4 document from HTML fragment (expects `.sheet` root).
+  const host = document.createElement("div");
+  host.style.position = "fixed";
+  host.style.left = "-100000px";
+  host.style.top = "0";
+  host.style.background = "white";
+  host.innerHTML = pdfFragmentHtml(fragmentHtml, engine);
+  document.body.appendChild(host);
+  try {
+    const target = host.querySelector(".sheet") || host;
+    if (engine === "vector") return await sheetsToVectorPdfBlob([target]);
+    const opt = {
+      margin: 0,
+      filename: `${filenameBase}.pdf`,
+      image: { type: "jpeg", quality: 0.98 },
+      html2canvas: { scale: 2, useCORS: true, backgroundColor: "#ffffff", scrollY: 0 },
+      jsPDF: { unit: "pt", format: "a4", orientation: "portrait" },
+      pagebreak: { mode: ["css", "legacy"] },
+    };
+    const worker = html2pdf().set(opt).from(target);
+    const pdf = await worker.toPdf().get("pdf");
+    return pdf.output("blob");
+  } finally {
+    host.remove();
+  }
+}
+
+async function mergePdfBlobs(blobs) {
+  // Pages of several PDFs, in order, in one file: "single" mode is rendered a document at a time
+  if (!window.PDFLib) throw new Error("Не загрузилась библиотека pdf-lib — общий PDF не собрать. Проверьте доступ к CDN.");
+  const out = await PDFLib.PDFDocument.create();
+  for (const blob of blobs) {
+    const src = await PDFLib.PDFDocument.load(blob instanceof Blob ? await readFileAsArrayBuffer(blob) : blob);
+    for (const page of await out.copyPages(src, src.getPageIndices())) out.addPage(page);
+  }
+  return new Blob([await out.save()], { type: "application/pdf" });
+}
+
+function assertDeps(engine = ui.pdfEngine.value, mode = "") {
+  // mode is passed where the run is known: "single" merges the per-document PDFs with pdf-lib
+  const missing = [];
+  if (!window.XLSX) missing.push("xlsx");
+  if (!window.JSZip) missing.push("jszip");
+  if (!window.saveAs) missing.push("file-saver");
+  if (!window.html2pdf) missing.push("html2pdf.js");
+  if (engine === "vector") {
+    if (!window.jspdf) missing.push("jspdf");
+    if (!window.html2canvas) missing.push("html2canvas");
+  }
+  if (mode === "single" && !window.PDFLib) missing.push("pdf-lib");
+  if (missing.length) {
+    throw new Error(`Не загрузились библиотеки: ${missing.join(", ")}. Проверьте доступ к CDN или скачайте библиотеки локально.`);
+  }
+}
+
+function refreshValidationReport() {
+  const opts = readRunOptions();
+  const report = buildValidationReport(buildDocuments(selectedDataRows(), opts), opts, parsedTemplates());
+  renderValidationReport(report);
+  return report;
+}
+
+function renderMappingUi(profileName) {
+  const sample = (h) => {
+    const v = state.rawRows.map((r) => formatValue(r[h]).trim()).find(Boolean) || "";
+    return v.length > 40 ? `${v.slice(0, 40)}…` : v;
+  };
+  const options = [
+    `<option value="">— нет —</option>`,
+    ...state.dataHeaders.map(
+      (h) => `<option value="${escapeHtml(h)}">${escapeHtml(h)}${sample(h) ? ` — ${escapeHtml(sample(h))}` : ""}</option>`
+    ),
+  ].join("");
+  ui.mappingFields.innerHTML = MAPPING_FIELDS.map(
+    (f) => `<div class="field">
+      <label>${escapeHtml(f.label)} <code>{${escapeHtml(f.key)}}</code></label>
+      <select data-map-field="${escapeHtml(f.key)}">${options}</select>
+    </div>`
+  ).join("");
+  ui.mappingFields.querySelectorAll("select[data-map-field]").forEach((sel) => {
+    sel.value = state.mapping[sel.dataset.mapField] || "";
+  });
+  ui.mappingName.value = profileName || "";
+  ui.mappingInfo.textContent = profileName
+    ? `Применён сохранённый профиль «${profileName}» (структура книги совпала).`
+    : "Для этой структуры книги профиля нет — сопоставление предложено автоматически. Проверьте и сохраните профиль.";
+  ui.mappingCard.hidden = false;
+}
+
+function applyMappingToRows() {
+  state.dataRows = state.rawRows.map((r) => applyAliases(r, state.mapping));
+}
+
+function rowDateKey(rowObj) {
+  // "yyyy-mm-dd" to compare with <input type="date"> values; "" if the row has no recognizable date
+  const m = formatDateRu(rowObj["дата счёта"] ?? rowObj["Дата счёта"] ?? rowObj.дата).match(/^(\d{2})\.(\d{2})\.(\d{4})$/);
+  return m ? `${m[3]}-${m[2]}-${m[1]}` : "";
+}
+
+function readRowFilters() {
+  return {
+    search: normalizeHeader(ui.rowSearch.value).toLowerCase(),
+    dateFrom: ui.rowDateFrom.value,
+    dateTo: ui.rowDateTo.value,
+    column: ui.rowFilterColumn.value,
+    value: normalizeHeader(ui.rowFilterValue.value).toLowerCase(),
+  };
+}
+
+function rowMatchesFilters(rowObj, filters) {
+  if (filters.search && !state.dataHeaders.some((h) => formatValue(rowObj[h]).toLowerCase().includes(filters.search))) {
+    return false;
+  }
+  if (filters.dateFrom || filters.dateTo) {
+    const key = rowDateKey(rowObj);
+    if (!key) return false;
+    if (filters.dateFrom && key < filters.dateFrom) return false;
+    if (filters.dateTo && key > filters.dateTo) return false;
+  }
+  if (filters.column && filters.value && formatValue(rowObj[filters.column]).trim().toLowerCase() !== filters.value) {
+    return false;
+  }
+  return true;
+}
+
+function visibleDataRows() {
+  const filters = readRowFilters();
+  return state.dataRows.filter((r) => rowMatchesFilters(r, filters));
+}
+
+// Rows that go to preview, numbering and generation: ticked AND passing the filters (what the table shows)
+function selectedDataRows() {
+  return visibleDataRows().filter((r) => state.selectedRows.has(r.__sheet_row));
+}
+
+function renderRowFilterControls() {
+  const current = ui.rowFilterColumn.value;
+  ui.rowFilterColumn.innerHTML = [
+    `<option value="">— колонка —</option>`,
+    ...state.dataHeaders.map((h) => `<option value="${escapeHtml(h)}">${escapeHtml(h)}</option>`),
+  ].join("");
+  ui.rowFilterColumn.value = state.dataHeaders.includes(current) ? current : "";
+  renderRowFilterValues();
+}
+
+function renderRowFilterValues() {
+  const column = ui.rowFilterColumn.value;
+  const values = column ? [...new Set(state.dataRows.map((r) => formatValue(r[column]).trim()).filter(Boolean))] : [];
+  ui.rowFilterValues.innerHTML = values
+    .slice(0, 500)
+    .map((v) => `<option value="${escapeHtml(v)}"></option>`)
+    .join("");
+}
+
+function renderRowsTable() {
+  const visible = visibleDataRows();
+  const selected = visible.filter((r) => state.selectedRows.has(r.__sheet_row)).length;
+  const clip = (v) => {
+    const text = formatValue(v);
+    return text.length > 60 ? `${text.slice(0, 60)}…` : text;
+  };
+  const head = `<tr><th><input type="checkbox" data-row-all /></th><th>Строка</th>${state.dataHeaders
+    .map((h) => `<th>${escapeHtml(h)}</th>`)
+    .join("")}</tr>`;
+  const body = visible
+    .map(
+      (r) => `<tr><td><input type="checkbox" data-row="${r.__sheet_row}"${state.selectedRows.has(r.__sheet_row) ? " checked" : ""} /></td><td>${
+        r.__sheet_row
+      }</td>${state.dataHeaders.map((h) => `<td>${escapeHtml(clip(r[h]))}</td>`).join("")}</tr>`
+    )
+    .join("");
+  ui.rowsTable.innerHTML = `<thead>${head}</thead><tbody>${body}</tbody>`;
+  const all = ui.rowsTable.querySelector("input[data-row-all]");
+  all.checked = visible.length > 0 && selected === visible.length;
+  all.indeterminate = selected > 0 && selected < visible.length;
+  ui.rowsInfo.textContent = `Выбрано для генерации: ${selected} из ${state.dataRows.length} строк${
+    visible.length < state.dataRows.length ? ` (по фильтрам показано ${visible.length})` : ""
+  }.`;
+  ui.rowsCard.hidden = false;
+}
+
+function resetRowSelection() {
+  state.selectedRows = new Set(state.dataRows.map((r) => r.__sheet_row));
+  ui.rowSearch.value = "";
+  ui.rowDateFrom.value = "";
+  ui.rowDateTo.value = "";
+  ui.rowFilterColumn.value = "";
+  ui.rowFilterValue.value = "";
+  renderRowFilterControls();
+  renderRowsTable();
+}
+
+function renderRequisitesUi() {
+  const req = state.requisites;
+  const option = (value, entry) =>
+    `<option value="${escapeHtml(value)}">${escapeHtml(entry.наименование || "(без названия)")}</option>`;
+  ui.supplierSelect.innerHTML = req.suppliers.map((e) => option(e.id, e)).join("");
+  ui.supplierSelect.value = req.supplierId;
+  ui.customerSelect.innerHTML = req.customers.map((e) => option(e.id, e)).join("");
+  ui.customerSelect.value = req.customerId;
+  ui.customerColumn.value = req.customerColumn || "";
+  ui.reqEntry.innerHTML =
+    `<optgroup label="Поставщики">${req.suppliers.map((e) => option(`supplier:${e.id}`, e)).join("")}</optgroup>` +
+    `<optgroup label="Покупатели">${req.customers.map((e) => option(`customer:${e.id}`, e)).join("")}</optgroup>`;
+  const [kind, id] = state.reqEditing.split(":");
+  if (!findRequisitesEntry(kind, id)) state.reqEditing = `supplier:${req.supplierId}`;
+  ui.reqEntry.value = state.reqEditing;
+  renderRequisitesForm();
+}
+
+function renderSignImagesUi() {
+  const images = loadSignImages();
+  const field = (key, prop, label, value) => `<div class="field">
+      <label>${label}</label>
+      <input type="text" data-sign-key="${escapeHtml(key)}" data-sign-prop="${prop}" value="${escapeHtml(String(value))}" />
+    </div>`;
+  ui.signImagesForm.innerHTML = SIGN_IMAGES.map((s) => {
+    const img = images[s.key];
+    return `<div class="row" style="margin-top: 10px">
+      <div class="field">
+        <label>${escapeHtml(s.label)} <code>{${escapeHtml(s.key)}}</code></label>
+        <input type="file" accept="image/png,image/jpeg,image/webp" data-sign-file="${escapeHtml(s.key)}" />
+        <div class="small" style="margin-top: 6px">${
+          img.src ? `<img src="${escapeHtml(img.src)}" alt="" style="max-height: 48px; background: #fff; vertical-align: middle" /> загружено` : "не загружено"
+        }</div>
+      </div>
+      ${field(s.key, "width", "Ширина, мм", img.width)}
+      ${field(s.key, "dx", "Сдвиг вправо, мм", img.dx)}
+      ${field(s.key, "dy", "Сдвиг вниз, мм", img.dy)}
+      <div class="btns" style="align-self: end"><button class="danger" data-sign-remove="${escapeHtml(s.key)}"${
+        img.src ? "" : " disabled"
+      }>Убрать</button></div>
+    </div>`;
+  }).join("");
+}
+
+function saveSignImage(key, patch) {
+  const stored = loadStored("signImages", {}) || {};
+  stored[key] = { ...loadSignImages()[key], ...patch };
+  saveStored("signImages", stored);
+}
+
+function renderRequisitesForm() {
+  const [kind, id] = state.reqEditing.split(":");
+  const entry = findRequisitesEntry(kind, id);
+  if (!entry) {
+    ui.reqForm.innerHTML = "";
+    return;
+  }
+  const prefix = kind === "supplier" ? "поставщик" : "покупатель";
+  ui.reqForm.innerHTML = REQUISITE_FIELDS.map(
+    (f) => `<div class="field">
+      <label>${escapeHtml(f.label)} <code>{${escapeHtml(`${prefix}.${f.key}`)}}</code></label>
+      <input type="text" data-req-key="${escapeHtml(f.key)}" value="${escapeHtml(entry[f.key] ?? "")}" />
+    </div>`
+  ).join("");
+}
+
+function addRequisitesEntry(kind) {
+  const list = kind === "supplier" ? state.requisites.suppliers : state.requisites.customers;
+  const entry = { id: `${kind[0]}${Date.now().toString(36)}` };
+  for (const f of REQUISITE_FIELDS) entry[f.key] = "";
+  entry.наименование = kind === "supplier" ? "Новый поставщик" : "Новый покупатель";
+  list.push(entry);
+  state.reqEditing = `${kind}:${entry.id}`;
+  saveRequisites();
+  renderRequisitesUi();
+}
+
+function saveRequisitesForm() {
+  const [kind, id] = state.reqEditing.split(":");
+  const entry = findRequisitesEntry(kind, id);
+  if (!entry) return;
+  ui.reqForm.querySelectorAll("input[data-req-key]").forEach((input) => {
+    entry[input.dataset.reqKey] = String(input.value ?? "").trim();
+  });
+  saveRequisites();
+  renderRequisitesUi();
+}
+
+function deleteRequisitesEntry() {
+  const req = state.requisites;
+  const [kind, id] = state.reqEditing.split(":");
+  const key = kind === "supplier" ? "suppliers" : "customers";
+  if (req[key].length <= 1) throw new Error("Нельзя удалить единственную запись — отредактируйте её.");
+  req[key] = req[key].filter((x) => x.id !== id);
+  if (req.supplierId === id) req.supplierId = req.suppliers[0].id;
+  if (req.customerId === id) req.customerId = req.customers[0].id;
+  state.reqEditing = "";
+  saveRequisites();
+  renderRequisitesUi();
+}
+
+function resetAll() {
+  state.file = null;
+  state.workbook = null;
+  state.sheetNames = [];
+  state.dataHeaders = [];
+  state.rawRows = [];
+  state.dataRows = [];
+  state.mapping = {};
+  state.mappingSignature = "";
+  state.selectedRows = new Set();
+  state.previewIndex = 0;
+  state.templateInvoice = null;
+  state.templateAct = null;
+  state.templates = {};
+  ui.fileInput.value = "";
+  ui.dataSheet.innerHTML = "";
+  ui.dataSheet.disabled = true;
+  ui.dataRange.value = "";
+  ui.headerMode.value = "auto";
+  ui.headerRow.value = "";
+  ui.headerRow.disabled = true;
+  renderDocTypesUi();
+  ui.pdfFontInput.value = "";
+  ui.pdfFontBoldInput.value = "";
+  state.pdfFontFile = null;
+  state.pdfFontBoldFile = null;
+  state.pdfFonts = null;
+  if (ui.invStart) ui.invStart.value = "";
+  ui.preview.innerHTML = `<div class="small">Загрузите файл и нажмите «Превью».</div>`;
+  ui.previewPos.textContent = "";
+  ui.previewJump.value = "";
+  ui.btnPreviewPrev.disabled = true;
+  ui.btnPreviewNext.disabled = true;
+  ui.btnPreviewJump.disabled = true;
+  setStatus("");
+  renderValidationReport(null);
+  ui.mappingCard.hidden = true;
+  ui.rowsCard.hidden = true;
+  ui.rowsTable.innerHTML = "";
+  ui.btnLoad.disabled = true;
+  ui.btnPreview.disabled = true;
+  ui.btnRun.disabled = true;
+}
+
+function enableAfterFileChosen(enabled) {
+  ui.btnLoad.disabled = !enabled;
+}
+
+function enableAfterLoaded(enabled) {
+  ui.btnPreview.disabled = !enabled;
+  ui.btnPreviewJump.disabled = !enabled;
+  ui.btnRun.disabled = !enabled;
+}
+
+ui.fileInput.addEventListener("change", () => {
+  const f = ui.fileInput.files && ui.fileInput.files[0];
+  state.file = f || null;
+  state.workbook = null;
+  state.sheetNames = [];
+  ui.dataSheet.innerHTML = "";
+  ui.dataSheet.disabled = true;
+  enableAfterFileChosen(Boolean(state.file));
+  enableAfterLoaded(false);
+  if (state.file) setStatus([`Файл: ${state.file.name}`, "Нажмите «Загрузить и проверить»."]);
+});
+
+ui.docTypesList.addEventListener("change", async (e) => {
+  const box = e.target.closest("input[data-doc-enabled]");
+  if (box) {
+    try {
+      setDocTypeEnabled(box.dataset.docEnabled, box.checked);
+      if (state.dataRows.length) {
+        await ensureTemplatesParsed();
+        refreshValidationReport();
+      }
+    } catch (err) {
+      setStatus([`Ошибка: ${err.message || err}`]);
+    }
+    return;
+  }
+  const input = e.target.closest("input[data-doc-template]");
+  if (!input) return;
+  const type = state.docTypes.find((t) => t.id === input.dataset.docTemplate);
+  if (!type) return;
+  const f = input.files && input.files[0];
+  state.templates[type.id] = { file: f || null, text: null, parsed: null };
+  // A hand-picked file wins over an imported template; after a reload the file next to the page is used again
+  if (f) dropActiveTemplate(type.id);
+  renderDocTypeSources();
+  renderEditorVersions();
+  if (f) setStatus([`HTML шаблон: ${f.name}`, `Шаблон будет использован для печати: ${type.label} (${type.template}).`]);
+});
+
+ui.docTypesList.addEventListener("click", async (e) => {
+  const revert = e.target.closest("button[data-doc-revert]");
+  if (revert) {
+    try {
+      const type = state.docTypes.find((t) => t.id === revert.dataset.docRevert);
+      if (!type) return;
+      revertDocTypeTemplate(type.id);
+      setStatus([`${type.label}: снова используется файл ${type.template} рядом со страницей.`]);
+      if (state.dataRows.length) {
+        await ensureTemplatesParsed();
+        refreshValidationReport();
+      }
+    } catch (err) {
+      setStatus([`Ошибка: ${err.message || err}`]);
+    }
+    return;
+  }
+  const btn = e.target.closest("button[data-doc-remove]");
+  if (!btn) return;
+  try {
+    const type = state.docTypes.find((t) => t.id === btn.dataset.docRemove);
+    if (!type || !window.confirm(`Удалить тип документа «${type.label}»?`)) return;
+    removeDocType(type.id);
+    if (templatesReady() && state.dataRows.length) refreshValidationReport();
+  } catch (err) {
+    setStatus([`Ошибка: ${err.message || err}`]);
+  }
+});
+
+ui.btnDocTypeAdd.addEventListener("click", () => {
+  try {
+    const type = addDocType(ui.docTypeLabel.value, ui.docTypeTemplate.value, ui.docTypeFolder.value);
+    ui.docTypeLabel.value = "";
+    ui.docTypeTemplate.value = "";
+    ui.docTypeFolder.value = "";
+    setStatus([
+      `Добавлен тип документа «${type.label}»: шаблон ${type.template}, папка ${type.folder}/ в ZIP.`,
+      "Нажмите «Загрузить и проверить», чтобы подхватить шаблон.",
+    ]);
+  } catch (e) {
+    setStatus([`Ошибка: ${e.message || e}`]);
+  }
+});
+
+ui.pdfEngine.addEventListener("change", () => {
+  try {
+    saveStored("pdfEngine", ui.pdfEngine.value);
+  } catch (e) {
+    setStatus([`Ошибка: ${e.message || e}`]);
+  }
+  // The preview follows the engine and the mode: both change how a page is laid out
+  if (ui.preview.childElementCount) showPreview();
+});
+
+ui.mode.addEventListener("change", () => {
+  if (ui.preview.childElementCount) showPreview();
+});
+
+ui.pdfFontInput.addEventListener("change", () => {
+  state.pdfFontFile = (ui.pdfFontInput.files && ui.pdfFontInput.files[0]) || null;
+  state.pdfFonts = null;
+});
+
+ui.pdfFontBoldInput.addEventListener("change", () => {
+  state.pdfFontBoldFile = (ui.pdfFontBoldInput.files && ui.pdfFontBoldInput.files[0]) || null;
+  state.pdfFonts = null;
+});
+
+for (const [input, key, source] of [
+  [ui.fileNamePattern, "fileNamePattern", FILE_PATTERN_SOURCE],
+  [ui.folderPattern, "folderPattern", FOLDER_PATTERN_SOURCE],
+]) {
+  input.addEventListener("change", () => {
+    try {
+      compileTemplate(normalizeHeader(input.value), source); // report syntax errors right away
+      saveStored(key, normalizeHeader(input.value));
+    } catch (e) {
+      setStatus([`Ошибка: ${e.message || e}`]);
+    }
+  });
+}
+
+ui.zipVolumeSize.addEventListener("change", () => {
+  try {
+    readZipVolumeSize();
+    saveStored("zipVolumeSize", normalizeHeader(ui.zipVolumeSize.value));
+  } catch (e) {
+    setStatus([`Ошибка: ${e.message || e}`]);
+  }
+});
+
+ui.invPattern.addEventListener("change", () => {
+  try {
+    compileNumberPattern(normalizeHeader(ui.invPattern.value) || DEFAULT_NUMBER_PATTERN);
+    saveStored("invPattern", normalizeHeader(ui.invPattern.value));
+    if (templatesReady()) refreshValidationReport();
+  } catch (e) {
+    setStatus([`Ошибка: ${e.message || e}`]);
+  }
+});
+
+ui.btnRegistryClear.addEventListener("click", () => {
+  try {
+    if (!window.confirm("Очистить реестр выданных номеров? Нумерация начнётся заново.")) return;
+    saveStored("invoiceRegistry", []);
+    renderRegistryUi();
+    if (templatesReady()) refreshValidationReport();
+  } catch (e) {
+    setStatus([`Ошибка: ${e.message || e}`]);
+  }
+});
+
+ui.journalSearch.addEventListener("input", () => renderJournalUi());
+
+ui.journalList.addEventListener("click", async (e) => {
+  const btn = e.target.closest("button[data-journal-run]");
+  if (!btn) return;
+  btn.disabled = true;
+  try {
+    await redownloadFromJournal(
+      parseInt(btn.dataset.journalRun, 10),
+      btn.dataset.journalKind,
+      parseInt(btn.dataset.journalDoc ?? "", 10)
+    );
+  } catch (err) {
+    setStatus([`Ошибка: ${err.message || err}`]);
+  } finally {
+    btn.disabled = false;
+  }
+});
+
+ui.btnJournalClear.addEventListener("click", async () => {
+  try {
+    if (!window.confirm("Удалить все записи журнала генераций? Перевыпустить старые документы будет нельзя.")) return;
+    await dbRequest("runs", "readwrite", (store) => store.clear());
+    await renderJournalUi();
+  } catch (e) {
+    setStatus([`Ошибка: ${e.message || e}`]);
+  }
+});
+
+ui.btnReset.addEventListener("click", () => resetAll());
+
+ui.supplierSelect.addEventListener("change", () => {
+  state.requisites.supplierId = ui.supplierSelect.value;
+  saveRequisites();
+});
+
+ui.customerSelect.addEventListener("change", () => {
+  state.requisites.customerId = ui.customerSelect.value;
+  saveRequisites();
+});
+
+ui.customerColumn.addEventListener("change", () => {
+  state.requisites.customerColumn = normalizeHeader(ui.customerColumn.value);
+  saveRequisites();
+});
+
+ui.reqEntry.addEventListener("change", () => {
+  state.reqEditing = ui.reqEntry.value;
+  renderRequisitesForm();
+});
+
+ui.mappingFields.addEventListener("change", (e) => {
+  const field = e.target?.dataset?.mapField;
+  if (!field) return;
+  state.mapping[field] = e.target.value;
+  applyMappingToRows();
+  // The date mapping feeds the date filter, so the table may change too
+  onRowSelectionChanged();
+});
+
+ui.btnMappingSave.addEventListener("click", () => {
+  try {
+    const name = normalizeHeader(ui.mappingName.value);
+    if (!name) throw new Error("Укажите название профиля сопоставления.");
+    saveMappingProfile(name, state.mappingSignature, state.mapping);
+    ui.mappingInfo.textContent = `Профиль «${name}» сохранён — он применится к книгам с такой же структурой.`;
+  } catch (e) {
+    setStatus([`Ошибка: ${e.message || e}`]);
+  }
+});
+
+function onRowSelectionChanged() {
+  renderRowsTable();
+  try {
+    if (templatesReady()) refreshValidationReport();
+  } catch (err) {
+    setStatus([`Ошибка: ${err.message || err}`]);
+  }
+}
+
+ui.rowsTable.addEventListener("change", (e) => {
+  const box = e.target;
+  if (!box || box.type !== "checkbox") return;
+  const rows = box.hasAttribute("data-row-all")
+    ? visibleDataRows().map((r) => r.__sheet_row)
+    : [parseInt(box.getAttribute("data-row"), 10)];
+  rows.forEach((n) => (box.checked ? state.selectedRows.add(n) : state.selectedRows.delete(n)));
+  onRowSelectionChanged();
+});
+
+[ui.rowSearch, ui.rowDateFrom, ui.rowDateTo, ui.rowFilterValue].forEach((el) =>
+  el.addEventListener("input", () => onRowSelectionChanged())
+);
+
+ui.rowFilterColumn.addEventListener("change", () => {
+  ui.rowFilterValue.value = "";
+  renderRowFilterValues();
+  onRowSelectionChanged();
+});
+
+ui.btnReqNewSupplier.addEventListener("click", () => addRequisitesEntry("supplier"));
+ui.btnReqNewCustomer.addEventListener("click", () => addRequisitesEntry("customer"));
+
+ui.signImagesForm.addEventListener("change", async (e) => {
+  const input = e.target;
+  try {
+    if (input.dataset.signFile) {
+      const f = input.files && input.files[0];
+      if (!f) return;
+      if (!/^image\//.test(f.type)) throw new Error("Выберите изображение (PNG с прозрачным фоном, JPEG или WebP).");
+      if (f.size > SIGN_IMAGE_MAX_BYTES) throw new Error("Изображение больше 1 МБ — уменьшите его, браузер хранит не больше нескольких МБ.");
+      saveSignImage(input.dataset.signFile, { src: await readFileAsDataUrl(f) });
+      renderSignImagesUi();
+    } else if (input.dataset.signKey) {
+      const value = parseAmount(input.value);
+      if (!Number.isFinite(value) || (input.dataset.signProp === "width" && value <= 0)) {
+        throw new Error("Размер и сдвиг подписи и печати — числа в миллиметрах, ширина больше нуля.");
+      }
+      saveSignImage(input.dataset.signKey, { [input.dataset.signProp]: value });
+    } else {
+      return;
+    }
+    if (templatesReady() && state.dataRows.length) refreshValidationReport();
+  } catch (err) {
+    setStatus([`Ошибка: ${err.message || err}`]);
+  }
+});
+
+ui.signImagesForm.addEventListener("click", (e) => {
+  const btn = e.target.closest("button[data-sign-remove]");
+  if (!btn) return;
+  try {
+    saveSignImage(btn.dataset.signRemove, { src: "" });
+    renderSignImagesUi();
+    if (templatesReady() && state.dataRows.length) refreshValidationReport();
+  } catch (err) {
+    setStatus([`Ошибка: ${err.message || err}`]);
+  }
+});
+
+ui.signedToggle.addEventListener("change", () => {
+  try {
+    if (templatesReady() && state.dataRows.length) refreshValidationReport();
+  } catch (err) {
+    setStatus([`Ошибка: ${err.message || err}`]);
+  }
+});
+
+ui.btnReqSave.addEventListener("click", () => {
+  try {
+    saveRequisitesForm();
+    setStatus(["Реквизиты сохранены."]);
+  } catch (e) {
+    setStatus([`Ошибка: ${e.message || e}`]);
+  }
+});
+
+ui.btnReqDelete.addEventListener("click", () => {
+  try {
+    deleteRequisitesEntry();
+  } catch (e) {
+    setStatus([`Ошибка: ${e.message || e}`]);
+  }
+});
+
+function defaultDataSheet(sheetNames) {
+  return sheetNames.find((n) => n.trim().toLowerCase() === "список") || sheetNames[0];
+}
+
+function renderSheetOptions() {
+  ui.dataSheet.innerHTML = state.sheetNames
+    .map((n, i) => `<option value="${escapeHtml(n)}">${i + 1}) ${escapeHtml(n)}</option>`)
+    .join("");
+  ui.dataSheet.value = defaultDataSheet(state.sheetNames);
+  ui.dataSheet.disabled = false;
+  updateRangeHint();
+}
+
+function updateRangeHint() {
+  const printArea = state.workbook ? parsePrintAreaFromWorkbook(state.workbook, ui.dataSheet.value) : null;
+  ui.dataRange.placeholder = printArea ? `Весь лист (область печати: ${printArea})` : "Весь лист, например A1:I120";
+}
+
+async function loadData() {
+  assertDeps();
+  if (!state.file) throw new Error("Выберите файл.");
+  if (!state.workbook) {
+    setStatus(["Читаю файл...", ""]);
+    const data = await readFileAsArrayBuffer(state.file);
+    const wb = XLSX.read(data, { type: "array", cellDates: true, cellStyles: true });
+    state.workbook = wb;
+    state.sheetNames = wb.SheetNames || [];
+    if (state.sheetNames.length < 1) throw new Error("В книге нет листов.");
+    renderSheetOptions();
+  }
+  const sheetName = ui.dataSheet.value || defaultDataSheet(state.sheetNames);
+  const wsData = state.workbook.Sheets[sheetName];
+  if (!wsData) throw new Error(`Не удалось получить лист «${sheetName}».`);
+
+  const range = normalizeHeader(ui.dataRange.value);
+  const { headers, rows, hasHeader } = parseDataSheet(wsData, {
+    sheetName,
+    range,
+    headerMode: ui.headerMode.value,
+    headerRow: ui.headerRow.value,
+  });
+  state.dataHeaders = headers;
+  state.rawRows = rows;
+  state.mappingSignature = structureSignature(headers, rows, hasHeader);
+  const profile = findMappingProfile(state.mappingSignature);
+  state.mapping = { ...suggestMapping(headers, rows, hasHeader), ...(profile ? profile.mapping : {}) };
+  applyMappingToRows();
+  renderMappingUi(profile ? profile.name : "");
+  resetRowSelection();
+  state.previewIndex = 0;
+
+  await ensureTemplatesParsed();
+
+  const report = refreshValidationReport();
+
+  setStatus([
+    `Листы: ${state.sheetNames.map((n, i) => `${i + 1}) ${n}`).join(", ")}`,
+    `Данные: лист «${sheetName}»${range ? `, диапазон ${range}` : ""}`,
+    `Заголовки ${hasHeader ? "обнаружены" : "НЕ обнаружены (использую A,B,C...)"} `,
+    `Колонки: ${headers.join(", ")}`,
+    `Строк данных: ${rows.length}`,
+    `Шаблоны: ${activeDocTypes().map((t) => `${t.label} — ${templateSourceLabel(t)}`).join(", ") || "не выбран ни один тип документов"}.`,
+    "",
+    "Плейсхолдеры: {ИмяПоля} или {{ИмяПоля}} (регистр не важен).",
+    report.errors ? `Проверка: ошибок ${report.errors} — см. отчёт ниже.` : "Проверка: ошибок нет.",
+  ]);
+}
+
+async function loadDataAndReport() {
+  try {
+    await loadData();
+    enableAfterLoaded(true);
+  } catch (e) {
+    enableAfterLoaded(false);
+    renderValidationReport(null);
+    setStatus([`Ошибка: ${e.message || e}`]);
+  }
+}
+
+ui.btnLoad.addEventListener("click", () => loadDataAndReport());
+
+ui.dataSheet.addEventListener("change", () => {
+  ui.dataRange.value = "";
+  updateRangeHint();
+  if (state.workbook) loadDataAndReport();
+});
+
+ui.headerMode.addEventListener("change", () => {
+  ui.headerRow.disabled = ui.headerMode.value !== "row";
+});
+
+function previewPagesHtml(doc, types, engine, mode) {
+  // -> [HTML of each type's page], laid out the way the PDF engine and mode lay them out: a fragment per
+  // document, or in "combined" mode the shared container with each template's styles scoped to its page
+  if (mode !== "combined") return types.map((type) => pdfFragmentHtml(renderDocumentHtml(type, doc), engine));
+  const container = buildMultiPageContainer(types.map((type) => ({ parsed: state.templates[type.id].parsed, rowObj: doc })), engine);
+  const styles = Array.from(container.children)
+    .filter((el) => el.tagName === "STYLE")
+    .map((el) => el.outerHTML)
+    .join("");
+  return Array.from(container.querySelectorAll(".pdf-page")).map(
+    (page) => `<div style="${container.style.cssText}">${styles}${page.outerHTML}</div>`
+  );
+}
+
+function measureSheetOverflow(fragmentHtml) {
+  // Lay the page out in the document, as the PDF engines do, and compare the content height
+  // with the fixed A4 `.sheet` box: anything beyond it is cut off by overflow:hidden in the PDF.
+  const host = document.createElement("div");
+  host.style.position = "fixed";
+  host.style.left = "-100000px";
+  host.style.top = "0";
+  host.style.background = "white";
+  host.innerHTML = fragmentHtml;
+  document.body.appendChild(host);
+  try {
+    const sheet = host.querySelector(".sheet");
+    if (!sheet || !sheet.clientHeight) return { overflow: false, pages: 1 };
+    const pages = sheet.scrollHeight / sheet.clientHeight;
+    return { overflow: sheet.scrollHeight > sheet.clientHeight + 1, pages };
+  } finally {
+    host.remove();
+  }
+}
+
+function findPreviewIndex(docs, query, by) {
+  const q = normalizeHeader(query);
+  if (!q) throw new Error("Укажите номер для перехода.");
+  const idx =
+    by === "row"
+      ? docs.findIndex((d) => (d.__sheet_rows || []).includes(parseInt(q, 10)))
+      : docs.findIndex((d) => String(formatValue(d["номер счёта"])).trim().toLowerCase() === q.toLowerCase());
+  if (idx === -1) {
+    throw new Error(
+      by === "row" ? `Строка ${q} не найдена среди выбранных строк.` : `Счёт № ${q} не найден среди выбранных строк.`
+    );
+  }
+  return idx;
+}
+
+async function renderPreview() {
+  if (!state.dataRows.length) throw new Error("Сначала загрузите файл.");
+  const rows = selectedDataRows();
+  if (!rows.length) throw new Error("Не выбрано ни одной строки — отметьте строки в таблице.");
+  if (!activeDocTypes().length) throw new Error(NO_DOC_TYPES_MESSAGE);
+  await ensureTemplatesParsed();
+
+  const docs = buildDocuments(rows, readRunOptions());
+  state.previewIndex = Math.min(Math.max(state.previewIndex, 0), docs.length - 1);
+  const doc = docs[state.previewIndex];
+
+  // The pages as the selected engine and mode render them, including the `.sheet` height override
+  const types = activeDocTypes();
+  const pages = previewPagesHtml(doc, types, ui.pdfEngine.value, ui.mode.value).map((html, i) => ({
+    label: `${types[i].label} (${templateSourceLabel(types[i])})`,
+    html,
+  }));
+
+  const rowsText = (doc.__sheet_rows || []).join(", ");
+  ui.previewPos.textContent = `Счёт ${state.previewIndex + 1} из ${docs.length}: № ${formatValue(doc["номер счёта"])}, строк${
+    doc.__sheet_rows.length > 1 ? "и" : "а"
+  } Excel ${rowsText}`;
+  ui.btnPreviewPrev.disabled = state.previewIndex === 0;
+  ui.btnPreviewNext.disabled = state.previewIndex === docs.length - 1;
+
+  ui.preview.innerHTML = "";
+  const mkLabel = (text, overflow) => {
+    const d = document.createElement("div");
+    d.className = overflow ? "small overflow" : "small";
+    d.style.margin = "8px 0";
+    d.textContent = text;
+    return d;
+  };
+  const mkIframe = () => {
+    const f = document.createElement("iframe");
+    f.setAttribute("sandbox", "");
+    f.style.width = "100%";
+    f.style.height = "520px";
+    f.style.border = "1px solid rgba(148,163,184,0.25)";
+    f.style.borderRadius = "12px";
+    f.style.background = "#fff";
+    return f;
+  };
+
+  for (const page of pages) {
+    const { overflow, pages: count } = measureSheetOverflow(page.html);
+    ui.preview.appendChild(
+      mkLabel(
+        overflow
+          ? `${page.label} — не помещается на лист A4 (≈ ${count.toFixed(1)} стр.), в PDF нижняя часть будет обрезана`
+          : page.label,
+        overflow
+      )
+    );
+    const frame = mkIframe();
+    frame.srcdoc = `<!doctype html><html lang="ru"><head><meta charset="utf-8"></head><body style="margin:0">${page.html}</body></html>`;
+    ui.preview.appendChild(frame);
+  }
+}
+
+async function showPreview(update) {
+  try {
+    if (update) update();
+    await renderPreview();
+    if (ui.editorSource.value) renderEditorPreview();
+  } catch (e) {
+    setStatus([`Ошибка: ${e.message || e}`]);
+  }
+}
+
+ui.btnPreview.addEventListener("click", () => showPreview());
+ui.btnPreviewPrev.addEventListener("click", () => showPreview(() => (state.previewIndex -= 1)));
+ui.btnPreviewNext.addEventListener("click", () => showPreview(() => (state.previewIndex += 1)));
+ui.btnPreviewJump.addEventListener("click", () =>
+  showPreview(() => {
+    const docs = buildDocuments(selectedDataRows(), readRunOptions());
+    state.previewIndex = findPreviewIndex(docs, ui.previewJump.value, ui.previewJumpBy.value);
+  })
+);
+ui.previewJump.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") ui.btnPreviewJump.click();
+});
+
+// Template editor: the source of one document type's template next to a sandboxed preview of the document
+// picked in the preview card. "Применить" swaps the edited text in for preview and generation (the workbook
+// stays loaded); named versions are kept in localStorage.
+function editorType() {
+  return state.docTypes.find((t) => t.id === ui.editorType.value) || state.docTypes[0];
+}
+
+function renderEditorTypes() {
+  const current = ui.editorType.value;
+  ui.editorType.innerHTML = state.docTypes
+    .map((t) => `<option value="${escapeHtml(t.id)}">${escapeHtml(t.label)} (${escapeHtml(t.template)})</option>`)
+    .join("");
+  if (state.docTypes.some((t) => t.id === current)) ui.editorType.value = current;
+  renderEditorVersions();
+}
+
+function loadTemplateVersions() {
+  const list = loadStored("templateVersions", []);
+  return Array.isArray(list) ? list : [];
+}
+
+function editorVersions(type) {
+  // Saved versions of the type, headed by the template imported from a package: that one is listed from
+  // activeTemplates rather than copied into the versions
+  if (!type) return [];
+  const active = loadActiveTemplates()[type.id];
+  const imported = active
+    ? [{ id: `active:${type.id}`, typeId: type.id, name: `Пакет ${active.пакет}`, сохранено: active.сохранено, text: active.text, active: true }]
+    : [];
+  return [...imported, ...loadTemplateVersions().filter((v) => v.typeId === type.id)];
+}
+
+function renderEditorVersions() {
+  const versions = editorVersions(editorType());
+  const option = (v) =>
+    `<option value="${escapeHtml(v.id)}">${escapeHtml(v.name)} — ${escapeHtml(new Date(v.сохранено).toLocaleString("ru-RU"))}</option>`;
+  ui.editorVersion.innerHTML = versions.length ? versions.map(option).join("") : `<option value="">Нет сохранённых версий</option>`;
+  ui.btnEditorLoadVersion.disabled = !versions.length;
+  ui.btnEditorDeleteVersion.disabled = !versions.length;
+}
+
+function editorPreviewDoc() {
+  // The document shown in the preview card, so both previews agree; null until a workbook is loaded
+  const rows = state.dataRows.length ? selectedDataRows() : [];
+  if (!rows.length) return null;
+  const docs = buildDocuments(rows, readRunOptions());
+  return docs[Math.min(Math.max(state.previewIndex, 0), docs.length - 1)];
+}
+
+function refreshEditorKeys(doc) {
+  const keys = new Set(state.dataHeaders);
+  if (doc) {
+    for (const k of Object.keys(doc)) if (!k.startsWith("__")) keys.add(k);
+    for (const it of doc.позиции || []) for (const k of Object.keys(it)) if (!k.startsWith("__")) keys.add(k);
+    keys.add("@index");
+  }
+  state.editorKeys = Array.from(keys).sort((a, b) => a.localeCompare(b, "ru"));
+}
+
+function renderEditorPreview() {
+  const type = editorType();
+  if (!type) return;
+  let parsed;
+  try {
+    parsed = parseHtmlTemplate(ui.editorSource.value, type.template);
+  } catch (e) {
+    // Keep the last good preview while the source is mid-edit
+    ui.editorInfo.textContent = `Ошибка: ${e.message || e}`;
+    return;
+  }
+  ui.editorInfo.textContent = "";
+  let doc = null;
+  try {
+    doc = editorPreviewDoc();
+  } catch (e) {
+    ui.editorInfo.textContent = `Превью без данных: ${e.message || e}`;
+  }
+  refreshEditorKeys(doc);
+  const html = renderSheetHtml(parsed, doc || {});
+  ui.editorPreview.srcdoc = `<!doctype html><html lang="ru"><head><meta charset="utf-8"></head><body style="margin:0">${html}</body></html>`;
+  if (doc) {
+    const { overflow, pages } = measureSheetOverflow(html);
+    ui.editorInfo.textContent = `Превью: № ${formatValue(doc["номер счёта"])}, строки Excel ${doc.__sheet_rows.join(", ")}${
+      overflow ? ` — не помещается на лист A4 (≈ ${pages.toFixed(1)} стр.), в PDF нижняя часть будет обрезана` : ""
+    }.`;
+  } else if (!state.dataRows.length) {
+    ui.editorInfo.textContent = "Загрузите Excel, чтобы видеть в превью данные строки и получать подсказки полей.";
+  }
+}
+
+let editorPreviewTimer = null;
+
+function scheduleEditorPreview() {
+  clearTimeout(editorPreviewTimer);
+  editorPreviewTimer = setTimeout(renderEditorPreview, 300);
+}
+
+function editorTokenPrefix() {
+  // The placeholder being typed left of the caret: "{сум", "{{сум", "{#if сум", "{#each поз"
+  const el = ui.editorSource;
+  if (el.selectionStart !== el.selectionEnd) return null;
+  const m = el.value.slice(0, el.selectionStart).match(/\{\{?(?:#(?:if|each)\s+!?)?([^{}\s:;|#/][^{}\n\r:;|]*)$/);
+  return m ? m[1] : null;
+}
+
+function renderEditorSuggest() {
+  const prefix = editorTokenPrefix();
+  const q = (prefix || "").toLowerCase();
+  const matches =
+    prefix == null ? [] : state.editorKeys.filter((k) => k.toLowerCase().startsWith(q) && k.toLowerCase() !== q).slice(0, 12);
+  ui.editorSuggest.hidden = !matches.length;
+  ui.editorSuggest.innerHTML = matches.map((k) => `<button type="button" data-editor-key="${escapeHtml(k)}">${escapeHtml(k)}</button>`).join("");
+}
+
+function acceptEditorSuggestion(key) {
+  const el = ui.editorSource;
+  const prefix = editorTokenPrefix() || "";
+  const start = el.selectionStart - prefix.length;
+  const after = el.value.slice(el.selectionStart);
+  const close = after.startsWith("}") ? "" : "}";
+  el.value = `${el.value.slice(0, start)}${key}${close}${after}`;
+  const caret = start + key.length + close.length;
+  el.setSelectionRange(caret, caret);
+  el.focus();
+  ui.editorSuggest.hidden = true;
+  scheduleEditorPreview();
+}
+
+async function openEditorTemplate() {
+  const type = editorType();
+  if (!type) return;
+  await ensureTemplateParsed(type);
+  ui.editorSource.value = state.templates[type.id].text;
+  renderEditorPreview();
+}
+
+function applyEditorTemplate() {
+  const type = editorType();
+  const text = ui.editorSource.value;
+  if (!text.trim()) throw new Error("Шаблон пуст — откройте текущий шаблон или сохранённую версию.");
+  const parsed = parseHtmlTemplate(text, type.template); // syntax errors stop here, before generation
+  state.templates[type.id] = { file: null, text, parsed, edited: true };
+  renderDocTypeSources();
+  setStatus([`Шаблон ${type.template} (${type.label}) взят из редактора — превью и генерация используют его до сброса.`]);
+  if (state.dataRows.length && templatesReady()) refreshValidationReport();
+}
+
+function saveEditorVersion() {
+  const type = editorType();
+  const name = normalizeHeader(ui.editorVersionName.value);
+  if (!name) throw new Error("Укажите название версии.");
+  const text = ui.editorSource.value;
+  parseHtmlTemplate(text, type.template);
+  // A version with the same name for the same template is overwritten
+  const versions = loadTemplateVersions().filter((v) => !(v.typeId === type.id && v.name === name));
+  const version = { id: `v${Date.now().toString(36)}`, typeId: type.id, name, сохранено: new Date().toISOString(), text };
+  saveStored("templateVersions", [version, ...versions]);
+  renderEditorVersions();
+  ui.editorVersion.value = version.id;
+  setStatus([`Версия «${name}» шаблона ${type.template} сохранена в браузере.`]);
+}
+
+ui.editorType.addEventListener("change", () => {
+  renderEditorVersions();
+  ui.editorSource.value = "";
+  ui.editorPreview.srcdoc = "";
+  ui.editorInfo.textContent = "";
+});
+
+ui.editorSource.addEventListener("input", () => {
+  renderEditorSuggest();
+  scheduleEditorPreview();
+});
+ui.editorSource.addEventListener("click", () => renderEditorSuggest());
+ui.editorSource.addEventListener("keydown", (e) => {
+  if (ui.editorSuggest.hidden) return;
+  if (e.key === "Tab") {
+    e.preventDefault();
+    acceptEditorSuggestion(ui.editorSuggest.querySelector("button[data-editor-key]").dataset.editorKey);
+  } else if (e.key === "Escape") {
+    ui.editorSuggest.hidden = true;
+  }
+});
+ui.editorSuggest.addEventListener("click", (e) => {
+  const btn = e.target.closest("button[data-editor-key]");
+  if (btn) acceptEditorSuggestion(btn.dataset.editorKey);
+});
+
+ui.btnEditorOpen.addEventListener("click", async () => {
+  try {
+    await openEditorTemplate();
+  } catch (e) {
+    setStatus([`Ошибка: ${e.message || e}`]);
+  }
+});
+
+ui.btnEditorLoadVersion.addEventListener("click", () => {
+  const version = editorVersions(editorType()).find((v) => v.id === ui.editorVersion.value);
+  if (!version) return;
+  ui.editorSource.value = version.text;
+  ui.editorVersionName.value = version.name;
+  renderEditorPreview();
+});
+
+ui.btnEditorDeleteVersion.addEventListener("click", () => {
+  try {
+    const type = editorType();
+    const version = editorVersions(type).find((v) => v.id === ui.editorVersion.value);
+    if (!version) return;
+    if (version.active) {
+      const question = `Удалить шаблон «${version.name}»? Для «${type.label}» снова будет использоваться файл ${type.template}.`;
+      if (!window.confirm(question)) return;
+      revertDocTypeTemplate(type.id);
+    } else {
+      if (!window.confirm(`Удалить версию «${version.name}»?`)) return;
+      saveStored("templateVersions", loadTemplateVersions().filter((v) => v.id !== version.id));
+    }
+    renderEditorVersions();
+  } catch (e) {
+    setStatus([`Ошибка: ${e.message || e}`]);
+  }
+});
+
+ui.btnEditorSaveVersion.addEventListener("click", () => {
+  try {
+    saveEditorVersion();
+  } catch (e) {
+    setStatus([`Ошибка: ${e.message || e}`]);
+  }
+});
+
+ui.btnEditorApply.addEventListener("click", async () => {
+  try {
+    applyEditorTemplate();
+    if (state.dataRows.length) await renderPreview();
+  } catch (e) {
+    setStatus([`Ошибка: ${e.message || e}`]);
+  }
+});
+
+// Template package: the whole setup in one ZIP — package.json (types, mapping profiles, numbering, naming,
+// requisites, signature/stamp placement), templates/<template> and images/<signature|stamp>. Images the
+// templates load by relative path (a logo next to inv.html) are inlined as data URLs, so the package is
+// self-contained.
+const PACKAGE_FORMAT = "processxls-template-package";
+const PACKAGE_FILENAME = "template_package.zip";
+
+async function inlineTemplateImages(html) {
+  const missing = [];
+  const srcs = new Set();
+  html.replace(/<img\b[^>]*?\bsrc=(["'])(.*?)\1/gi, (m, q, src) => srcs.add(src));
+  let out = html;
+  for (const src of srcs) {
+    if (!src || /^(data:|https?:|\/\/|\{)/i.test(src)) continue;
+    try {
+      const res = await fetch(src, { cache: "no-store" });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const dataUrl = await readFileAsDataUrl(await res.blob());
+      out = out.split(`"${src}"`).join(`"${dataUrl}"`).split(`'${src}'`).join(`'${dataUrl}'`);
+    } catch {
+      missing.push(src);
+    }
+  }
+  return { html: out, missing };
+}
+
+function dataUrlParts(dataUrl) {
+  const m = String(dataUrl || "").match(/^data:([^;,]+);base64,(.*)$/);
+  return m ? { mime: m[1], base64: m[2] } : null;
+}
+
+async function exportTemplatePackage() {
+  for (const type of state.docTypes) await ensureTemplateParsed(type);
+  const zip = new JSZip();
+  const manifest = {
+    формат: PACKAGE_FORMAT,
+    версия: 1,
+    создан: new Date().toISOString(),
+    типы: state.docTypes.map(({ id, label, template, folder, enabled }) => ({ id, label, template, folder, enabled })),
+    шаблоны: {},
+    сопоставления: loadMappingProfiles(),
+    нумерация: { шаблон: normalizeHeader(ui.invPattern.value), начало: normalizeHeader(ui.invStart.value) },
+    имена: {
+      файл: normalizeHeader(ui.fileNamePattern.value),
+      папка: normalizeHeader(ui.folderPattern.value),
+      колонка: normalizeHeader(ui.nameColumn.value),
+    },
+    реквизиты: state.requisites,
+    подпись: {},
+  };
+  // The mapping of the loaded workbook travels even if it was never saved as a profile
+  if (state.mappingSignature && !findMappingProfile(state.mappingSignature)) {
+    manifest.сопоставления.push({
+      name: `Из пакета: ${state.file?.name || "книга"}`,
+      signature: state.mappingSignature,
+      mapping: { ...state.mapping },
+      updated: Date.now(),
+    });
+  }
+  const missing = [];
+  for (const type of state.docTypes) {
+    const inlined = await inlineTemplateImages(state.templates[type.id].text);
+    missing.push(...inlined.missing.map((src) => `${type.template}: ${src}`));
+    const path = `templates/${type.id}/${type.template}`;
+    zip.file(path, inlined.html);
+    manifest.шаблоны[type.id] = path;
+  }
+  const images = loadSignImages();
+  for (const s of SIGN_IMAGES) {
+    const { src, ...placement } = images[s.key];
+    const parts = dataUrlParts(src);
+    const path = parts ? `images/${s.key}.${(parts.mime.split("/")[1] || "png").replace("jpeg", "jpg")}` : "";
+    if (parts) zip.file(path, parts.base64, { base64: true });
+    manifest.подпись[s.key] = { ...placement, файл: path, тип: parts ? parts.mime : "" };
+  }
+  zip.file("package.json", JSON.stringify(manifest, null, 2));
+  saveAs(await zip.generateAsync({ type: "blob" }), PACKAGE_FILENAME);
+  setStatus([
+    `Готово: ${PACKAGE_FILENAME} (шаблонов: ${state.docTypes.length}, сопоставлений: ${manifest.сопоставления.length})`,
+    ...(missing.length ? [`Не удалось встроить картинки (останутся ссылками): ${missing.join(", ")}`] : []),
+  ]);
+}
+
+async function importTemplatePackage(file) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(await readFileAsArrayBuffer(file));
+  } catch (e) {
+    throw new Error(`Файл ${file.name} — не ZIP-архив пакета шаблонов (${e.message || e}).`);
+  }
+  const manifestFile = zip.file("package.json");
+  const manifest = manifestFile ? JSON.parse(await manifestFile.async("string")) : null;
+  if (!manifest || manifest.формат !== PACKAGE_FORMAT) throw new Error(`В ${file.name} нет package.json пакета шаблонов.`);
+  if (manifest.версия > 1) {
+    throw new Error("Пакет создан более новой версией приложения — обновите страницу и попробуйте снова.");
+  }
+
+  // Read and check everything first: a broken template must not leave the setup half-imported
+  const types = (manifest.типы || []).filter((t) => t && t.id && t.template && t.folder);
+  const templates = {};
+  for (const type of types) {
+    const path = manifest.шаблоны?.[type.id];
+    const entry = path && zip.file(path);
+    if (!entry) continue;
+    const text = await entry.async("string");
+    templates[type.id] = { file: null, text, parsed: parseHtmlTemplate(text, type.template) };
+  }
+  const images = {};
+  for (const s of SIGN_IMAGES) {
+    const { файл, тип, ...placement } = manifest.подпись?.[s.key] || {};
+    const entry = файл && zip.file(файл);
+    images[s.key] = { ...placement, src: entry ? `data:${тип || "image/png"};base64,${await entry.async("base64")}` : "" };
+  }
+  const question =
+    `Импорт «${file.name}» заменит шаблоны, типы документов, нумерацию, имена файлов, подпись и печать и реквизиты. Продолжить?`;
+  if (!window.confirm(question)) return;
+
+  const docTypes = [
+    ...types.map((t) => {
+      const builtIn = BUILTIN_DOC_TYPES.find((b) => b.id === t.id);
+      return { ...builtIn, ...t, builtIn: Boolean(builtIn), enabled: t.enabled !== false };
+    }),
+    // Built-in types the package does not list are switched off: it replaces the whole set, and an older
+    // invoice/act package must not leave УПД ticked
+    ...BUILTIN_DOC_TYPES.filter((b) => !types.some((t) => t.id === b.id)).map((b) => ({ ...b, enabled: false })),
+  ];
+  // Imported templates become the active ones, so they survive «Сброс» and a page reload
+  const active = {};
+  const сохранено = new Date().toISOString();
+  for (const [id, entry] of Object.entries(templates)) {
+    active[id] = { text: entry.text, пакет: file.name, сохранено };
+  }
+  const profiles = Array.isArray(manifest.сопоставления) ? manifest.сопоставления : [];
+  const names = new Set(profiles.map((p) => p.name));
+  const requisites =
+    manifest.реквизиты && Array.isArray(manifest.реквизиты.suppliers) && Array.isArray(manifest.реквизиты.customers)
+      ? { ...DEFAULT_REQUISITES, ...manifest.реквизиты }
+      : null;
+  const naming = {
+    invPattern: normalizeHeader(manifest.нумерация?.шаблон || ""),
+    fileNamePattern: normalizeHeader(manifest.имена?.файл || ""),
+    folderPattern: normalizeHeader(manifest.имена?.папка || ""),
+  };
+  // All or nothing: a package too big for the browser storage must not leave new types with old templates
+  saveStoredAll({
+    ...storedDocTypes(docTypes),
+    activeTemplates: active,
+    signImages: images,
+    mappingProfiles: [...loadMappingProfiles().filter((p) => !names.has(p.name)), ...profiles],
+    ...naming,
+    ...(requisites ? { requisites } : {}),
+  });
+
+  state.docTypes = loadDocTypes();
+  state.templates = Object.fromEntries(Object.entries(templates).filter(([id]) => state.docTypes.some((t) => t.id === id)));
+  if (requisites) state.requisites = requisites;
+  ui.invPattern.value = naming.invPattern;
+  ui.invStart.value = manifest.нумерация?.начало || "";
+  ui.fileNamePattern.value = naming.fileNamePattern;
+  ui.folderPattern.value = naming.folderPattern;
+  ui.nameColumn.value = manifest.имена?.колонка || "";
+
+  renderDocTypesUi();
+  renderSignImagesUi();
+  renderRequisitesUi();
+  renderRegistryUi();
+  setStatus([
+    `Пакет ${file.name} импортирован: типов документов ${state.docTypes.length}, ` +
+      `шаблонов ${Object.keys(state.templates).length}, сопоставлений ${profiles.length}.`,
+    state.workbook ? "Нажмите «Загрузить и проверить», чтобы применить сопоставление к открытой книге." : "",
+  ].filter(Boolean));
+}
+
+ui.btnPackageExport.addEventListener("click", async () => {
+  try {
+    assertDeps();
+    await exportTemplatePackage();
+  } catch (e) {
+    setStatus([`Ошибка: ${e.message || e}`]);
+  }
+});
+
+ui.packageInput.addEventListener("change", async () => {
+  const f = ui.packageInput.files && ui.packageInput.files[0];
+  if (!f) return;
+  try {
+    await importTemplatePackage(f);
+  } catch (e) {
+    setStatus([`Ошибка: ${e.message || e}`]);
+  } finally {
+    ui.packageInput.value = "";
+  }
+});
+
+// Generation job. html2canvas/jsPDF render from the page DOM, so PDFs cannot be made in a Worker; instead a run
+// is a job in IndexedDB: documents, output paths and template snapshots are stored up front, and every PDF is
+// stored as soon as it is rendered. Cancel or a page reload stops the job without losing finished files —
+// «Продолжить» renders only the missing ones, then the ZIP, register and journal are built as usual.
+// A file that fails to render is recorded in job.сбои and the job goes on; the documents that did render are
+// delivered (with errors.txt), and the failed ones stay in the job for «Повторить неудачные».
+// "single" mode renders a PDF per document too and merges them into invoices.pdf/acts.pdf at the end, so
+// progress, Cancel and failures work per document there as well.
+const PARTIAL_ZIP_BASENAME = "pdf_out_partial";
+const ERRORS_FILENAME = "errors.txt";
+
+function jobTasks(job) {
+  // -> [{ path, docs: [document index], types, file? }], one per PDF still to deliver; in "single" mode path is
+  // only the key of the stored page and file is the merged PDF it goes into
+  const delivered = new Set(job.выдано || []);
+  const all = job.документы.map((d, i) => i).filter((i) => !delivered.has(i));
+  if (job.режим === "single") {
+    return all.flatMap((i) =>
+      job.типы.map((t) => ({ path: `${t.folder}s/${i + 1}.pdf`, file: `${t.folder}s.pdf`, docs: [i], types: [t] }))
+    );
+  }
+  if (job.режим === "combined") {
+    return all.map((i) => ({ path: job.пути[i][job.типы[0].id], docs: [i], types: job.типы }));
+  }
+  return all.flatMap((i) => job.типы.map((t) => ({ path: job.пути[i][t.id], docs: [i], types: [t] })));
+}
+
+async function renderJobTask(job, task) {
+  const snapshots = task.types.map((t) => job.шаблоны[t.id]);
+  const doc = job.документы[task.docs[0]];
+  // The engine the job was started with: a resumed job must not mix raster and vector pages
+  const engine = job.движок || ui.pdfEngine.value;
+  if (job.режим === "combined") return multiPagePdfBlob(snapshots, doc, task.path, engine, job.подписи);
+  return htmlFragmentToPdfBlob(renderSheetHtml(snapshots[0], doc, job.подписи), task.path, engine);
 }
 
-function fillHtmlTemplateFragment(htmlFragment, rowObj) {
-  // IMPORTANT: inv.html contains normal CSS braces { ... }.
-  // So we only replace tokens like {номер счёта} / {сумма_формат} (no ':' ';' or newlines).
-  // Allow Cyrillic incl. Ёё and most "word-ish" tokens, but avoid CSS blocks by rejecting ':' ';' and newlines.
-  const placeholderDouble = /\{\{([^}\n\r:;]+)\}\}/g;
-  const placeholderSingle = /\{([^{}\n\r:;]+)\}/g;
-
-  const replaceToken = (token) => {
-    const key = String(token ?? "").trim();
-    if (!key) return "";
-    if (Object.prototype.hasOwnProperty.call(rowObj, key)) return escapeHtml(formatValue(rowObj[key]));
-    const found = Object.keys(rowObj).find((h) => h.toLowerCase() === key.toLowerCase());
-    return found ? escapeHtml(formatValue(rowObj[found])) : "";
-  };
+async function mergeJobPages(job, tasks) {
+  // -> [{ file, blob }]: the stored pages of "single" mode merged into a PDF per type, in document order
+  const files = [];
+  for (const t of job.типы) {
+    const pages = tasks.filter((task) => task.types[0].id === t.id);
+    if (!pages.length) continue;
+    const data = [];
+    for (const task of pages) data.push(await loadJobFile(job.id, task.path));
+    files.push({ file: pages[0].file, blob: await mergePdfBlobs(data) });
+  }
+  return files;
+}
 
-  let out = htmlFragment.replace(placeholderDouble, (_, token) => replaceToken(token));
-  out = out.replace(placeholderSingle, (_, token) => replaceToken(token));
-  return out;
+// Split ZIP: JSZip keeps every file of an archive in memory until generateAsync, so a year of rows is written as
+// volumes of N documents, each built, saved and dropped before the next one starts. PDFs wait in IndexedDB
+// (jobFiles), so memory stays at one volume however long the batch is.
+const DEFAULT_ZIP_VOLUME_SIZE = 200;
+
+function readZipVolumeSize() {
+  const raw = normalizeHeader(ui.zipVolumeSize.value);
+  if (!raw) return DEFAULT_ZIP_VOLUME_SIZE;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < 0) throw new Error(`«Документов в одном ZIP»: нужно целое число от 0, сейчас «${raw}».`);
+  return n;
 }
 
-function renderInvoiceHtmlFromInvTemplate(rowObj) {
-  if (!state.invHtmlParsed) throw new Error("inv.html не загружен");
-  const styleTag = state.invHtmlParsed.stylesText ? `<style>${state.invHtmlParsed.stylesText}</style>` : "";
-  const body = fillHtmlTemplateFragment(state.invHtmlParsed.bodyHtmlWithPlaceholders, rowObj);
-  // override: ensure top-left alignment inside pdf capture
-  // Also slightly reduce height to avoid rounding that can create a blank 2nd page.
-  const override = `<style>.sheet{margin:0 !important; position:relative; top:0; left:0; height:296.5mm !important; min-height:296.5mm !important; overflow:hidden;}</style>`;
-  return `${styleTag}${override}${body}`;
+function zipVolumeName(baseName, docIndex, perVolume, totalDocs) {
+  // A batch that fits one volume keeps the plain name, so small runs still give pdf_out.zip
+  if (!perVolume || totalDocs <= perVolume) return `${baseName}.zip`;
+  return `${baseName}_part${String(Math.floor(docIndex / perVolume) + 1).padStart(2, "0")}.zip`;
 }
 
-function renderActHtmlFromActTemplate(rowObj) {
-  if (!state.actHtmlParsed) throw new Error("act.html не загружен");
-  const styleTag = state.actHtmlParsed.stylesText ? `<style>${state.actHtmlParsed.stylesText}</style>` : "";
-  const body = fillHtmlTemplateFragment(state.actHtmlParsed.bodyHtmlWithPlaceholders, rowObj);
-  const override = `<style>.sheet{margin:0 !important; position:relative; top:0; left:0; height:296.5mm !important; min-height:296.5mm !important; overflow:hidden;}</style>`;
-  return `${styleTag}${override}${body}`;
+function createZipVolumes(baseName, perVolume, totalDocs) {
+  // Files are added document by document; call endDocument() after each one. Files added after the last
+  // document (register, 1C export, errors.txt) go to the last volume. finish() -> saved archive names.
+  let zip = new JSZip();
+  let docs = 0;
+  const names = [];
+  const flush = async (name) => {
+    setStatus([`Собираю ZIP: ${name}...`, ""]);
+    saveAs(await zip.generateAsync({ type: "blob" }), name);
+    names.push(name);
+    zip = new JSZip();
+  };
+  return {
+    file(path, data) {
+      zip.file(path, data);
+    },
+    async endDocument() {
+      docs++;
+      if (perVolume && docs % perVolume === 0 && docs < totalDocs) {
+        await flush(zipVolumeName(baseName, docs - 1, perVolume, totalDocs));
+      }
+    },
+    async finish() {
+      await flush(zipVolumeName(baseName, Math.max(totalDocs - 1, 0), perVolume, totalDocs));
+      return names;
+    },
+  };
 }
 
-function templateSeemsTiny(ws) {
-  if (!ws || !ws["!ref"]) return true;
-  try {
-    const r = XLSX.utils.decode_range(ws["!ref"]);
-    const rows = r.e.r - r.s.r + 1;
-    const cols = r.e.c - r.s.c + 1;
-    return rows * cols <= 20; // heuristic
-  } catch {
-    return true;
-  }
+function volumesText(names, perVolume) {
+  if (names.length < 2) return names[0];
+  return `${names[0]} … ${names[names.length - 1]} (частей: ${names.length}, документов в части: до ${perVolume})`;
 }
 
-function shouldUseFallback(templateMode, wsInvoice, wsAct) {
-  if (templateMode === "fallback") return true;
-  if (templateMode === "excel") return false;
-  // auto
-  // If user provides explicit print areas, we can still render a full A4 grid even when the sheet is "tiny".
-  const hasExplicitPrintArea =
-    (ui.printAreaAct && String(ui.printAreaAct.value || "").trim() !== "");
-  if (hasExplicitPrintArea) return false;
-  return templateSeemsTiny(wsInvoice) || templateSeemsTiny(wsAct);
+function groupTasksByDocument(tasks) {
+  // ZIP modes only: every task there belongs to one document
+  const byDoc = new Map();
+  for (const task of tasks) byDoc.set(task.docs[0], [...(byDoc.get(task.docs[0]) || []), task]);
+  return byDoc;
 }
 
-function defaultInvoiceHtml(rowObj) {
-  const no = formatValue(rowObj["номер счёта"] || "");
-  const date = formatValue(rowObj["дата счёта"] || rowObj.дата || "");
-  const route = formatValue(rowObj["маршрут"] || "");
-  const car = formatValue(rowObj["авто"] || rowObj["номер авто"] || "");
-  const driver = formatValue(rowObj["водитель"] || "");
-  const amount = formatValue(rowObj["сумма"] || "");
-  const service = formatValue(rowObj["услуга"] || "");
+function jobFilesRange(jobId) {
+  // jobFiles keys are "<job id>/<path>"; "0" is the character right after "/"
+  return IDBKeyRange.bound(`${jobId}/`, `${jobId}0`, false, true);
+}
 
-  return `
-    <div>
-      <h3>Счёт № ${no}</h3>
-      <div style="display:flex; justify-content:space-between; gap:12px; font-size:12px; margin-bottom:10px;">
-        <div><b>Дата счёта:</b> ${date}</div>
-        <div><b>Основание:</b> Перевозка груза</div>
-      </div>
-      <table>
-        <tr><th style="width:32%">Параметр</th><th>Значение</th></tr>
-        <tr><td>Маршрут</td><td>${route}</td></tr>
-        <tr><td>Автомобиль</td><td>${car}</td></tr>
-        <tr><td>Водитель</td><td>${driver}</td></tr>
-        <tr><td>Услуга</td><td>${service}</td></tr>
-        <tr><td><b>Сумма</b></td><td><b>${amount}</b></td></tr>
-      </table>
-      <div style="margin-top:14px; font-size:12px;">
-        <div>Поставщик: ____________________</div>
-        <div style="margin-top:10px;">Покупатель: ____________________</div>
-      </div>
-    </div>
-  `.trim();
+async function loadJob() {
+  const jobs = (await dbRequest("jobs", "readonly", (store) => store.getAll())) || [];
+  return jobs[jobs.length - 1] || null;
 }
 
-function defaultActHtml(rowObj) {
-  const no = formatValue(rowObj["номер счёта"] || "");
-  const date = formatValue(rowObj["дата счёта"] || rowObj.дата || "");
-  const route = formatValue(rowObj["маршрут"] || "");
-  const amount = formatValue(rowObj["сумма"] || "");
-  return `
-    <div>
-      <h3>Акт № ${no}</h3>
-      <div style="display:flex; justify-content:space-between; gap:12px; font-size:12px; margin-bottom:10px;">
-        <div><b>Дата:</b> ${date}</div>
-        <div><b>К счёту №</b> ${no}</div>
-      </div>
-      <table>
-        <tr><th style="width:32%">Наименование работ/услуг</th><th>Маршрут</th><th style="width:18%">Сумма</th></tr>
-        <tr><td>Перевозка груза</td><td>${route}</td><td style="text-align:right">${amount}</td></tr>
-      </table>
-      <div style="margin-top:14px; font-size:12px;">
-        <div>Исполнитель: ____________________</div>
-        <div style="margin-top:10px;">Заказчик: ____________________</div>
-      </div>
-    </div>
-  `.trim();
+async function saveJob(job) {
+  await dbRequest("jobs", "readwrite", (store) => store.put(job));
 }
 
-function buildTwoPageContainer(invoiceHtml, actHtml) {
-  const container = document.createElement("div");
-  container.style.width = "794px"; // ~A4 at 96dpi (8.27in*96)
-  container.style.padding = "0";
-  container.style.margin = "0";
-  container.style.background = "white";
-  container.style.color = "#111827";
+async function jobDonePaths(jobId) {
+  const keys = (await dbRequest("jobFiles", "readonly", (store) => store.getAllKeys(jobFilesRange(jobId)))) || [];
+  return new Set(keys.map((key) => key.slice(`${jobId}/`.length)));
+}
 
-  const pageStyle = `
-    <style>
-      .pdf-page {
-        width: 794px;
-        min-height: 1123px; /* ~A4 */
-        padding: 0;
-        page-break-after: always;
-      }
-      .pdf-page:last-child { page-break-after: auto; }
-      .act-page { padding: 18px; }
-      .act-page table { width: 100%; border-collapse: collapse; }
-      .act-page td, .act-page th { border: 1px solid #cbd5e1; padding: 4px 6px; font-size: 11px; vertical-align: top; }
-      .act-page h3 { margin: 0 0 8px; font-size: 13px; }
-    </style>
-  `;
+async function loadJobFile(jobId, path) {
+  // One file at a time: reading the whole job back would put every PDF of the batch in memory at once
+  const entry = await dbRequest("jobFiles", "readonly", (store) => store.get(`${jobId}/${path}`));
+  return entry ? entry.data : null;
+}
 
-  container.innerHTML = `${pageStyle}
-    <div class="pdf-page invoice-page">${invoiceHtml}</div>
-    <div class="pdf-page act-page">${actHtml}</div>`;
-  return container;
+async function deleteJobFiles(jobId, paths) {
+  await dbRequest("jobFiles", "readwrite", (store) => paths.forEach((path) => store.delete(`${jobId}/${path}`)));
 }
 
-async function htmlContainerToPdfBlob(container, filenameBase) {
-  // html2pdf options tuned for readability
-  const opt = {
-    margin: 0,
-    filename: `${filenameBase}.pdf`,
-    image: { type: "jpeg", quality: 0.95 },
-    html2canvas: { scale: 2, useCORS: true, backgroundColor: "#ffffff" },
-    jsPDF: { unit: "pt", format: "a4", orientation: "portrait" },
-    pagebreak: { mode: ["css", "legacy"] },
-  };
-  const worker = html2pdf().set(opt).from(container);
-  const pdf = await worker.toPdf().get("pdf");
-  return pdf.output("blob");
+async function deleteJob(jobId) {
+  await dbRequest("jobFiles", "readwrite", (store) => store.delete(jobFilesRange(jobId)));
+  await dbRequest("jobs", "readwrite", (store) => store.delete(jobId));
+  // Numbers of documents the job never delivered are free again
+  releaseReservedNumbers(jobId);
 }
 
-async function htmlFragmentToPdfBlob(fragmentHtml, filenameBase) {
-  // Render a single A4 document from HTML fragment (expects `.sheet` root).
-  const host = document.createElement("div");
-  host.style.position = "fixed";
-  host.style.left = "-100000px";
-  host.style.top = "0";
-  host.style.background = "white";
-  host.innerHTML = fragmentHtml;
-  document.body.appendChild(host);
-  try {
-    const target = host.querySelector(".sheet") || host;
-    const opt = {
-      margin: 0,
-      filename: `${filenameBase}.pdf`,
-      image: { type: "jpeg", quality: 0.98 },
-      html2canvas: { scale: 2, useCORS: true, backgroundColor: "#ffffff", scrollY: 0 },
-      jsPDF: { unit: "pt", format: "a4", orientation: "portrait" },
-      pagebreak: { mode: ["css", "legacy"] },
-    };
-    const worker = html2pdf().set(opt).from(target);
-    const pdf = await worker.toPdf().get("pdf");
-    return pdf.output("blob");
-  } finally {
-    host.remove();
-  }
+function formatDuration(ms) {
+  const sec = Math.max(1, Math.round(ms / 1000));
+  const min = Math.floor(sec / 60);
+  return min ? `${min} мин ${String(sec % 60).padStart(2, "0")} с` : `${sec} с`;
 }
 
-function assertDeps() {
-  const missing = [];
-  if (!window.XLSX) missing.push("xlsx");
-  if (!window.JSZip) missing.push("jszip");
-  if (!window.saveAs) missing.push("file-saver");
-  if (!window.html2pdf) missing.push("html2pdf.js");
-  if (missing.length) {
-    throw new Error(`Не загрузились библиотеки: ${missing.join(", ")}. Проверьте доступ к CDN или скачайте библиотеки локально.`);
-  }
+function setJobBusy(busy) {
+  ui.btnRun.disabled = busy;
+  ui.btnPreview.disabled = busy || !Boolean(state.dataRows.length);
+  ui.btnLoad.disabled = busy || !Boolean(state.file);
+  ui.jobBox.hidden = !busy;
+  ui.btnJobCancel.hidden = !busy;
+  ui.btnJobCancel.disabled = false;
+  ui.btnJobResume.hidden = busy;
+  ui.btnJobPartial.hidden = busy;
+  ui.btnJobDiscard.hidden = busy;
 }
 
-function resetAll() {
-  state.file = null;
-  state.workbook = null;
-  state.sheetNames = [];
-  state.dataHeaders = [];
-  state.dataRows = [];
-  state.templateInvoice = null;
-  state.templateAct = null;
-  state.invHtmlFile = null;
-  state.invHtmlText = null;
-  state.invHtmlParsed = null;
-  state.actHtmlFile = null;
-  state.actHtmlText = null;
-  state.actHtmlParsed = null;
-  ui.fileInput.value = "";
-  if (ui.invHtmlInput) ui.invHtmlInput.value = "";
-  if (ui.actHtmlInput) ui.actHtmlInput.value = "";
-  if (ui.invPrefix) ui.invPrefix.value = "";
-  if (ui.invStart) ui.invStart.value = "1";
-  ui.preview.innerHTML = `<div class="small">Загрузите файл и нажмите «Превью 1-й строки».</div>`;
-  setStatus("");
-  ui.btnLoad.disabled = true;
-  ui.btnPreview.disabled = true;
-  ui.btnRun.disabled = true;
+function showJobProgress(done, total, failed, etaMs, current) {
+  ui.jobProgress.max = total;
+  ui.jobProgress.value = done + failed;
+  const eta = etaMs == null ? "оценка времени — после первого файла" : `осталось ≈ ${formatDuration(etaMs)}`;
+  const errors = failed ? `, с ошибкой: ${failed}` : "";
+  ui.jobInfo.textContent = `PDF: ${done}/${total} (${Math.floor(((done + failed) / total) * 100)}%)${errors}, ${eta}. Сейчас: ${current}`;
 }
 
-function enableAfterFileChosen(enabled) {
-  ui.btnLoad.disabled = !enabled;
+function jobFailureRows(job, failure) {
+  return failure.docs.flatMap((i) => job.документы[i].__sheet_rows || []);
 }
 
-function enableAfterLoaded(enabled) {
-  ui.btnPreview.disabled = !enabled;
-  ui.btnRun.disabled = !enabled;
+function buildErrorsText(job) {
+  // errors.txt: one line per failed file with the Excel rows it was made from
+  const failedDocs = new Set(job.сбои.flatMap((f) => f.docs));
+  return [
+    `Не удалось сгенерировать документов: ${failedDocs.size} из ${job.документы.length}.`,
+    "",
+    ...job.сбои.map((f) => {
+      const rows = jobFailureRows(job, f);
+      const number = f.docs.length === 1 ? `, счёт № ${formatValue(job.документы[f.docs[0]]["номер счёта"])}` : "";
+      return `Строк${rows.length > 1 ? "и" : "а"} ${rows.join(", ")}${number}, ${f.path}: ${f.reason}`;
+    }),
+    "",
+    "Исправьте причину и нажмите «Повторить неудачные» под кнопками генерации — номера и данные документов сохранятся.",
+    "",
+  ].join("\n");
 }
 
-ui.fileInput.addEventListener("change", () => {
-  const f = ui.fileInput.files && ui.fileInput.files[0];
-  state.file = f || null;
-  enableAfterFileChosen(Boolean(state.file));
-  enableAfterLoaded(false);
-  if (state.file) setStatus([`Файл: ${state.file.name}`, "Нажмите «Загрузить и проверить»."]);
-});
+async function renderJobUi() {
+  if (state.job) return;
+  let job = null;
+  let done = new Set();
+  try {
+    job = await loadJob();
+    if (job) done = await jobDonePaths(job.id);
+  } catch {
+    job = null;
+  }
+  if (!job) {
+    ui.jobBox.hidden = true;
+    return;
+  }
+  const total = jobTasks(job).length;
+  const failures = job.сбои || [];
+  setJobBusy(false);
+  ui.jobBox.hidden = false;
+  ui.jobProgress.max = total;
+  ui.jobProgress.value = done.size;
+  ui.btnJobResume.textContent = failures.length ? "Повторить неудачные" : "Продолжить";
+  const when = `от ${new Date(job.создан).toLocaleString("ru-RU")} (${job.книга || "без имени"})`;
+  if (failures.length) {
+    const rows = [...new Set(failures.flatMap((f) => jobFailureRows(job, f)))];
+    ui.jobInfo.textContent =
+      `Генерация ${when}: выдано документов ${(job.выдано || []).length}, не сгенерировано PDF: ${failures.length} ` +
+      `(строки ${rows.join(", ")}). Первая причина: ${failures[0].reason}. ` +
+      "«Повторить неудачные» сгенерирует их заново с теми же номерами.";
+    return;
+  }
+  const reason =
+    job.статус === "ошибка"
+      ? `Остановлена ошибкой: ${job.ошибка}`
+      : job.статус === "отменено"
+        ? "Отменена."
+        : "Прервана: страница была закрыта или перезагружена.";
+  ui.jobInfo.textContent =
+    `Незавершённая генерация ${when}: ` +
+    `готово ${done.size} из ${total} PDF. ${reason} «Продолжить» допишет недостающие файлы.`;
+}
 
-if (ui.invHtmlInput) {
-  ui.invHtmlInput.addEventListener("change", () => {
-    const f = ui.invHtmlInput.files && ui.invHtmlInput.files[0];
-    state.invHtmlFile = f || null;
-    state.invHtmlText = null;
-    state.invHtmlParsed = null;
-    if (state.invHtmlFile) {
-      setStatus([`HTML шаблон: ${state.invHtmlFile.name}`, "Шаблон будет использован для печати счёта (inv.html)."]);
+async function runGenerationJob(job) {
+  const tasks = jobTasks(job);
+  const done = await jobDonePaths(job.id);
+  const todo = tasks.filter((t) => !done.has(t.path));
+  // A job without the text font goes on as images from here on; the journal then records the image engine
+  let warning;
+  try {
+    ({ engine: job.движок, warning } = await resolvePdfEngine(job.движок));
+  } catch (e) {
+    job.статус = "ошибка";
+    job.ошибка = e.message || String(e);
+    await saveJob(job).catch(() => {});
+    await renderJobUi();
+    throw e;
+  }
+  state.job = { id: job.id, cancel: false };
+  job.статус = "идёт";
+  job.ошибка = "";
+  // Every file not rendered yet is tried again, including the ones that failed last time
+  job.сбои = [];
+  await saveJob(job);
+  setJobBusy(true);
+  setStatus([
+    done.size
+      ? `Продолжаю генерацию: готово ${done.size} из ${tasks.length} PDF.`
+      : "Генерирую PDF... Это может занять время, если строк много.",
+    ...(warning ? [warning] : []),
+    "",
+  ]);
+  const started = Date.now();
+  try {
+    for (let k = 0; k < todo.length; k++) {
+      // ETA from this session's pace: a resumed job may run on another engine or machine load
+      const eta = k ? ((Date.now() - started) / k) * (todo.length - k) : null;
+      showJobProgress(done.size, tasks.length, job.сбои.length, eta, todo[k].file || todo[k].path);
+      await new Promise((r) => setTimeout(r, 0));
+      if (state.job.cancel) {
+        job.статус = "отменено";
+        await saveJob(job);
+        setStatus([`Генерация отменена: готово ${done.size} из ${tasks.length} PDF, они сохранены в браузере.`]);
+        return;
+      }
+      let data;
+      try {
+        data = await readFileAsArrayBuffer(await renderJobTask(job, todo[k]));
+      } catch (e) {
+        // One bad row must not cost the rest of the batch: note it and go on
+        job.сбои.push({ path: todo[k].file || todo[k].path, docs: todo[k].docs, reason: e.message || String(e) });
+        await saveJob(job);
+        continue;
+      }
+      const entry = { key: `${job.id}/${todo[k].path}`, job: job.id, path: todo[k].path, data };
+      await dbRequest("jobFiles", "readwrite", (store) => store.put(entry));
+      done.add(todo[k].path);
     }
-  });
+    showJobProgress(done.size, tasks.length, job.сбои.length, 0, "сборка результата");
+    await finishGenerationJob(job, tasks, warning);
+  } catch (e) {
+    job.статус = "ошибка";
+    job.ошибка = e.message || String(e);
+    await saveJob(job).catch(() => {});
+    throw e;
+  } finally {
+    state.job = null;
+    setJobBusy(false);
+    renderRegistryUi();
+    renderJournalUi();
+    await renderJobUi();
+  }
 }
 
-if (ui.actHtmlInput) {
-  ui.actHtmlInput.addEventListener("change", () => {
-    const f = ui.actHtmlInput.files && ui.actHtmlInput.files[0];
-    state.actHtmlFile = f || null;
-    state.actHtmlText = null;
-    state.actHtmlParsed = null;
-    if (state.actHtmlFile) {
-      setStatus([`HTML шаблон: ${state.actHtmlFile.name}`, "Шаблон будет использован для печати акта (act.html)."]);
+async function finishGenerationJob(job, tasks, warning) {
+  const failedDocs = new Set(job.сбои.flatMap((f) => f.docs));
+  // A document is delivered only whole: if its act failed, its invoice waits in the job for the retry
+  const okIdx = [...new Set(tasks.flatMap((t) => t.docs))].filter((i) => !failedDocs.has(i));
+  if (!okIdx.length) {
+    throw new Error(`Не удалось сгенерировать ни одного документа (${job.сбои[0].path}: ${job.сбои[0].reason}).`);
+  }
+  const { типы: types, режим: mode } = job;
+  const docs = okIdx.map((i) => job.документы[i]);
+  const paths = okIdx.map((i) => job.пути[i]);
+  const okTasks = tasks.filter((t) => t.docs.every((i) => !failedDocs.has(i)));
+  const total = docs.length;
+  const meta = {
+    mode,
+    types,
+    paths,
+    book: job.книга,
+    templates: job.шаблоны,
+    engine: job.движок,
+    signImages: job.подписи,
+  };
+  // The registry keeps the file the number was issued with: the invoice, or the first type when re-issuing e.g. acts only
+  const numberedType = types.find((t) => t.id === "invoice") || types[0];
+  const oneCKinds = ["invoice", "act"].filter((id) => types.some((t) => t.id === id));
+  const extraFiles = [
+    REGISTER_FILENAME,
+    ...(oneCKinds.length ? [COMMERCEML_FILENAME] : []),
+    ...(job.сбои.length ? [ERRORS_FILENAME] : []),
+  ];
+  const errorsText = job.сбои.length ? buildErrorsText(job) : "";
+  let lines;
+
+  if (mode === "single") {
+    setStatus(["Собираю общие PDF...", ""]);
+    const merged = await mergeJobPages(job, okTasks);
+    for (const { file, blob } of merged) saveAs(blob, file);
+    saveAs(
+      new Blob(
+        [
+          buildRegisterXlsx(docs, types, (doc, i) =>
+            Object.fromEntries(types.map((t) => [t.id, `${t.folder}s.pdf, стр. ${i + 1}`]))
+          ),
+        ],
+        { type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" }
+      ),
+      REGISTER_FILENAME
+    );
+    if (oneCKinds.length) {
+      saveAs(new Blob([buildCommerceMlXml(docs, oneCKinds)], { type: "application/xml" }), COMMERCEML_FILENAME);
     }
-  });
+    if (errorsText) saveAs(new Blob([errorsText], { type: "text/plain;charset=utf-8" }), ERRORS_FILENAME);
+    recordIssuedInvoices(docs, () => `${numberedType.folder}s.pdf`);
+    meta.files = [...merged.map((m) => m.file), ...extraFiles];
+    lines = [`Готово: ${meta.files.join(", ")} (документов: ${total})`];
+  } else {
+    const perVolume = job.томДокументов ?? DEFAULT_ZIP_VOLUME_SIZE;
+    const volumes = createZipVolumes("pdf_out", perVolume, total);
+    const tasksOf = groupTasksByDocument(okTasks);
+    for (const i of okIdx) {
+      for (const task of tasksOf.get(i)) volumes.file(task.path, await loadJobFile(job.id, task.path));
+      await volumes.endDocument();
+    }
+    volumes.file(
+      REGISTER_FILENAME,
+      buildRegisterXlsx(docs, types, (doc, i) => {
+        const volume = zipVolumeName("pdf_out", i, perVolume, total);
+        const prefix = volume === "pdf_out.zip" ? "" : `${volume}/`;
+        const page = (k) => (mode === "combined" ? `, стр. ${k + 1}` : "");
+        return Object.fromEntries(types.map((t, k) => [t.id, `${prefix}${paths[i][t.id]}${page(k)}`]));
+      })
+    );
+    if (oneCKinds.length) volumes.file(COMMERCEML_FILENAME, buildCommerceMlXml(docs, oneCKinds));
+    if (errorsText) volumes.file(ERRORS_FILENAME, errorsText);
+    meta.files = await volumes.finish();
+    recordIssuedInvoices(docs, (doc, i) => `${zipVolumeName("pdf_out", i, perVolume, total)}/${paths[i][numberedType.id]}`);
+    const archives = volumesText(meta.files, perVolume);
+    lines = [
+      mode === "combined"
+        ? `Готово: ${archives} (PDF файлов: ${total} по ${types.length} стр. + ${extraFiles.join(" + ")})`
+        : `Готово: ${archives} (PDF файлов: ${total * types.length} + ${extraFiles.join(" + ")})`,
+    ];
+    if (meta.files.length > 1) lines.push(`${extraFiles.join(", ")} — в последней части.`);
+  }
+  const journalNote = await recordGenerationRun(docs, meta);
+  if (job.сбои.length) {
+    // Keep only what the retry needs: the failed documents and the files they already have
+    job.выдано = [...(job.выдано || []), ...okIdx];
+    job.статус = "ошибка";
+    job.ошибка = `не сгенерировано PDF: ${job.сбои.length}`;
+    await saveJob(job);
+    await deleteJobFiles(job.id, okTasks.map((t) => t.path));
+    const rows = [...new Set(job.сбои.flatMap((f) => jobFailureRows(job, f)))];
+    lines.push(
+      `Не удалось сгенерировать документов: ${failedDocs.size} (строки ${rows.join(", ")}) — причины в ${ERRORS_FILENAME}. ` +
+        "«Повторить неудачные» — под кнопками генерации."
+    );
+  } else {
+    await deleteJob(job.id);
+  }
+  setStatus([...lines, warning, journalNote].filter(Boolean));
 }
 
-ui.btnReset.addEventListener("click", () => resetAll());
-
-ui.btnLoad.addEventListener("click", async () => {
+async function startGenerationJob(docs, opts) {
+  // opts: { mode, types, paths, volumeSize }
+  const pending = await loadJob();
+  if (pending) {
+    const question = "Есть незавершённая генерация (см. под кнопками). Удалить её готовые PDF и начать новую?";
+    if (!window.confirm(question)) {
+      setStatus(["Новая генерация не начата: продолжите или удалите незавершённую."]);
+      return;
+    }
+    await deleteJob(pending.id);
+  }
+  const job = {
+    создан: new Date().toISOString(),
+    книга: state.file?.name || "",
+    режим: opts.mode,
+    движок: ui.pdfEngine.value, // PDF engine, kept for «Продолжить» and the journal
+    типы: opts.types.map(({ id, label, folder }) => ({ id, label, folder })),
+    шаблоны: Object.fromEntries(opts.types.map((t) => [t.id, templateSnapshot(state.templates[t.id].parsed)])),
+    документы: docs,
+    подписи: signImagesSnapshot(docs), // images the documents point at, once for the whole job
+    пути: opts.paths,
+    томДокументов: opts.volumeSize, // documents per ZIP volume, 0 — one archive
+    статус: "идёт",
+    ошибка: "",
+    сбои: [], // [{ path, docs, reason }] — files that failed to render in the last pass
+    выдано: [], // indexes of documents already delivered
+  };
   try {
-    assertDeps();
-    if (!state.file) throw new Error("Выберите файл.");
-    setStatus(["Читаю файл...", ""]);
-    const data = await readFileAsArrayBuffer(state.file);
-    const wb = XLSX.read(data, { type: "array", cellDates: true, cellStyles: true });
-    state.workbook = wb;
-    state.sheetNames = wb.SheetNames || [];
-    if (state.sheetNames.length < 1) throw new Error("В книге нет листов.");
-    const wsData = wb.Sheets[state.sheetNames[0]];
-    if (!wsData) throw new Error("Не удалось получить 1-й лист (данные).");
+    job.id = await dbRequest("jobs", "readwrite", (store) => store.add(job));
+  } catch (e) {
+    throw new Error(`Не удалось создать задание генерации в базе браузера: ${e.message || e}`);
+  }
+  reserveInvoiceNumbers(docs, job.id);
+  await runGenerationJob(job);
+}
 
-    const { headers, rows, hasHeader } = parseDataSheet(wsData);
-    state.dataHeaders = headers;
-    state.dataRows = rows.map(applyAliases);
+async function downloadJobPartial() {
+  const job = await loadJob();
+  if (!job) throw new Error("Незавершённой генерации нет.");
+  assertDeps(job.движок, job.режим);
+  const done = await jobDonePaths(job.id);
+  if (!done.size) throw new Error("Готовых PDF пока нет.");
+  const tasks = jobTasks(job).filter((t) => done.has(t.path));
+  const docIdx = [...new Set(tasks.flatMap((t) => t.docs))];
+  const perVolume = job.режим === "single" ? 0 : job.томДокументов ?? DEFAULT_ZIP_VOLUME_SIZE;
+  const volumes = createZipVolumes(PARTIAL_ZIP_BASENAME, perVolume, docIdx.length);
+  if (job.режим === "single") {
+    for (const { file, blob } of await mergeJobPages(job, tasks)) volumes.file(file, blob);
+  } else {
+    const tasksOf = groupTasksByDocument(tasks);
+    for (const i of docIdx) {
+      for (const task of tasksOf.get(i)) volumes.file(task.path, await loadJobFile(job.id, task.path));
+      await volumes.endDocument();
+    }
+  }
+  if ((job.сбои || []).length) volumes.file(ERRORS_FILENAME, buildErrorsText(job));
+  const names = await volumes.finish();
+  setStatus([
+    `Готово: ${volumesText(names, perVolume)} (PDF: ${done.size} из ${jobTasks(job).length}).`,
+    "Реестр, выгрузка в 1С, журнал и учёт номеров записываются, когда генерация завершена полностью.",
+  ]);
+}
 
-    await ensureInvTemplateParsed();
-    await ensureActTemplateParsed();
+ui.btnJobCancel.addEventListener("click", () => {
+  if (!state.job) return;
+  state.job.cancel = true;
+  ui.btnJobCancel.disabled = true;
+  ui.jobInfo.textContent = "Останавливаю после текущего файла…";
+});
 
-    setStatus([
-      `Листы: 1) ${state.sheetNames[0]}`,
-      `Лист 1: заголовки ${hasHeader ? "обнаружены" : "НЕ обнаружены (использую A,B,C...)"} `,
-      `Колонки (лист 1): ${headers.join(", ")}`,
-      `Строк данных: ${rows.length}`,
-      "Шаблоны: inv.html (счёт) + act.html (акт).",
-      "",
-      "Плейсхолдеры: {ИмяПоля} или {{ИмяПоля}} (регистр не важен).",
-    ]);
-    enableAfterLoaded(true);
+ui.btnJobResume.addEventListener("click", async () => {
+  try {
+    const job = await loadJob();
+    if (!job) throw new Error("Незавершённой генерации нет.");
+    assertDeps(job.движок, job.режим);
+    await runGenerationJob(job);
   } catch (e) {
-    enableAfterLoaded(false);
     setStatus([`Ошибка: ${e.message || e}`]);
   }
 });
 
-ui.btnPreview.addEventListener("click", async () => {
+ui.btnJobPartial.addEventListener("click", async () => {
   try {
-    if (!state.dataRows.length) throw new Error("Сначала загрузите файл.");
-    await ensureInvTemplateParsed();
-    await ensureActTemplateParsed();
-
-    const invPrefix = normalizeHeader(ui.invPrefix.value);
-    const invStart = parseInt(String(ui.invStart.value || "1"), 10);
-    const row0 = withComputedFields(state.dataRows[0], 0, invPrefix, Number.isFinite(invStart) ? invStart : 1);
-
-    const actFragment = renderActHtmlFromActTemplate(row0);
-
-    const invDoc = `<!doctype html><html lang="ru"><head><meta charset="utf-8">${
-      state.invHtmlParsed?.stylesText ? `<style>${state.invHtmlParsed.stylesText}</style>` : ""
-    }</head><body>${fillHtmlTemplateFragment(state.invHtmlParsed?.bodyHtmlWithPlaceholders || "", row0)}</body></html>`;
-    const actDoc = `<!doctype html><html lang="ru"><head><meta charset="utf-8">${
-      state.actHtmlParsed?.stylesText ? `<style>${state.actHtmlParsed.stylesText}</style>` : ""
-    }</head><body>${fillHtmlTemplateFragment(state.actHtmlParsed?.bodyHtmlWithPlaceholders || "", row0)}</body></html>`;
-
-    ui.preview.innerHTML = "";
-    const mkLabel = (text) => {
-      const d = document.createElement("div");
-      d.className = "small";
-      d.style.marginBottom = "8px";
-      d.textContent = text;
-      return d;
-    };
-    const mkIframe = () => {
-      const f = document.createElement("iframe");
-      f.setAttribute("sandbox", "");
-      f.style.width = "100%";
-      f.style.height = "520px";
-      f.style.border = "1px solid rgba(148,163,184,0.25)";
-      f.style.borderRadius = "12px";
-      f.style.background = "#fff";
-      return f;
-    };
+    await downloadJobPartial();
+  } catch (e) {
+    setStatus([`Ошибка: ${e.message || e}`]);
+  }
+});
 
-    ui.preview.appendChild(mkLabel("Счёт (inv.html)"));
-    const invFrame = mkIframe();
-    invFrame.srcdoc = invDoc;
-    ui.preview.appendChild(invFrame);
-    const spacer = document.createElement("div");
-    spacer.style.height = "12px";
-    ui.preview.appendChild(spacer);
-    ui.preview.appendChild(mkLabel("Акт (act.html)"));
-    const actFrame = mkIframe();
-    actFrame.srcdoc = actDoc;
-    ui.preview.appendChild(actFrame);
+ui.btnJobDiscard.addEventListener("click", async () => {
+  try {
+    const job = await loadJob();
+    const question = "Удалить незавершённую генерацию вместе с готовыми PDF? Номера её невыданных документов освободятся.";
+    if (job && window.confirm(question)) await deleteJob(job.id);
+    renderRegistryUi();
+    await renderJobUi();
   } catch (e) {
     setStatus([`Ошибка: ${e.message || e}`]);
   }
@@ -979,103 +4494,48 @@ ui.btnPreview.addEventListener("click", async () => {
 ui.btnRun.addEventListener("click", async () => {
   try {
     if (!state.dataRows.length) throw new Error("Сначала загрузите файл.");
-    assertDeps();
-    await ensureInvTemplateParsed();
-    await ensureActTemplateParsed();
+    const rows = selectedDataRows();
+    if (!rows.length) throw new Error("Не выбрано ни одной строки — отметьте строки в таблице.");
+    if (!activeDocTypes().length) throw new Error(NO_DOC_TYPES_MESSAGE);
+    assertDeps(ui.pdfEngine.value, ui.mode.value);
+    await ensureTemplatesParsed();
 
     const mode = ui.mode.value;
-    const nameCol = normalizeHeader(ui.nameColumn.value);
-    const invPrefix = normalizeHeader(ui.invPrefix.value);
-    const invStartParsed = parseInt(String(ui.invStart.value || "1"), 10);
-    const invStart = Number.isFinite(invStartParsed) ? invStartParsed : 1;
-
-    setStatus(["Генерирую PDF... Это может занять время, если строк много.", ""]);
-    ui.btnRun.disabled = true;
-    ui.btnPreview.disabled = true;
-    ui.btnLoad.disabled = true;
-
-    const total = state.dataRows.length;
-    const getBaseName = (rowObj, idx) => {
-      if (nameCol) {
-        const key = Object.keys(rowObj).find((h) => h.toLowerCase() === nameCol.toLowerCase());
-        const val = key ? rowObj[key] : "";
-        if (val != null && String(val).trim() !== "") return escapeFilename(String(val));
-      } else if (rowObj["номер счёта"]) {
-        return escapeFilename(String(rowObj["номер счёта"]));
-      }
-      return `row_${String(idx + 1).padStart(4, "0")}`;
-    };
+    const runOpts = readRunOptions();
+    if (runOpts.vat.error) throw new Error(runOpts.vat.error);
+    const badVatRow = rows.find((r) => resolveVat(r, runOpts).error);
+    if (badVatRow) throw new Error(`Строка ${badVatRow.__sheet_row}: НДС: ${resolveVat(badVatRow, runOpts).error}`);
+    const docs = buildDocuments(rows, runOpts);
+    const types = activeDocTypes();
+    const paths = buildOutputPaths(docs, types, { ...readNamingOptions(), combined: mode === "combined" });
+    const volumeSize = readZipVolumeSize();
 
-    if (mode === "single") {
-      // Two combined PDFs: all invoices and all acts
-      const invHost = document.createElement("div");
-      invHost.style.position = "fixed";
-      invHost.style.left = "-100000px";
-      invHost.style.top = "0";
-      invHost.style.background = "white";
-      const actHost = invHost.cloneNode(false);
-
-      // Put styles once + page-breaks
-      invHost.innerHTML = `${state.invHtmlParsed?.stylesText ? `<style>${state.invHtmlParsed.stylesText}</style>` : ""}<style>.sheet{margin:0 !important; page-break-after:always;}</style>`;
-      actHost.innerHTML = `${state.actHtmlParsed?.stylesText ? `<style>${state.actHtmlParsed.stylesText}</style>` : ""}<style>.sheet{margin:0 !important; page-break-after:always;}</style>`;
-      document.body.appendChild(invHost);
-      document.body.appendChild(actHost);
-      try {
-        for (let i = 0; i < total; i++) {
-          const baseRow = state.dataRows[i];
-          const rowObj = withComputedFields(baseRow, i, invPrefix, invStart);
-          const invBody = fillHtmlTemplateFragment(state.invHtmlParsed?.bodyHtmlWithPlaceholders || "", rowObj);
-          const actBody = fillHtmlTemplateFragment(state.actHtmlParsed?.bodyHtmlWithPlaceholders || "", rowObj);
-          const invWrap = document.createElement("div");
-          invWrap.innerHTML = invBody;
-          const actWrap = document.createElement("div");
-          actWrap.innerHTML = actBody;
-          invHost.appendChild(invWrap);
-          actHost.appendChild(actWrap);
-          setStatus([`HTML: ${i + 1}/${total}`, ""]);
-          await new Promise((r) => setTimeout(r, 0));
-        }
-
-        const invBlob = await htmlContainerToPdfBlob(invHost, "invoices");
-        saveAs(invBlob, "invoices.pdf");
-        const actBlob = await htmlContainerToPdfBlob(actHost, "acts");
-        saveAs(actBlob, "acts.pdf");
-        setStatus([`Готово: invoices.pdf и acts.pdf (строк: ${total})`]);
-      } finally {
-        invHost.remove();
-        actHost.remove();
-      }
-    } else {
-      // ZIP with two PDFs per row
-      const zip = new JSZip();
-      for (let i = 0; i < total; i++) {
-        const baseRow = state.dataRows[i];
-        const rowObj = withComputedFields(baseRow, i, invPrefix, invStart);
-        const base = getBaseName(rowObj, i);
-        const invoiceHtml = renderInvoiceHtmlFromInvTemplate(rowObj);
-        const actHtml = renderActHtmlFromActTemplate(rowObj);
-        const invBlob = await htmlFragmentToPdfBlob(invoiceHtml, `invoice_${base}`);
-        const actBlob = await htmlFragmentToPdfBlob(actHtml, `act_${base}`);
-        zip.file(`invoice/${base}.pdf`, invBlob);
-        zip.file(`act/${base}.pdf`, actBlob);
-        setStatus([`PDF: ${i + 1}/${total} — ${base} (invoice+act)`, ""]);
-        await new Promise((r) => setTimeout(r, 0));
-      }
-      setStatus(["Собираю ZIP...", ""]);
-      const zipBlob = await zip.generateAsync({ type: "blob" });
-      saveAs(zipBlob, "pdf_out.zip");
-      setStatus([`Готово: pdf_out.zip (PDF файлов: ${total * 2})`]);
+    const report = buildValidationReport(docs, runOpts, parsedTemplates());
+    renderValidationReport(report);
+    if (report.errors && !window.confirm(`Проверка нашла ошибок: ${report.errors} (см. отчёт). Всё равно сгенерировать PDF?`)) {
+      setStatus(["Генерация отменена: исправьте ошибки из отчёта проверки."]);
+      return;
     }
+
+    await startGenerationJob(docs, { mode, types, paths, volumeSize });
   } catch (e) {
     setStatus([`Ошибка: ${e.message || e}`]);
-  } finally {
-    ui.btnRun.disabled = false;
-    ui.btnPreview.disabled = !Boolean(state.dataRows.length);
-    ui.btnLoad.disabled = !Boolean(state.file);
   }
 });
 
 // boot
+state.requisites = loadRequisites();
+ui.pdfEngine.value = loadStored("pdfEngine", "vector") === "raster" ? "raster" : "vector";
+ui.invPattern.value = loadStored("invPattern", "");
+ui.fileNamePattern.value = loadStored("fileNamePattern", "");
+ui.folderPattern.value = loadStored("folderPattern", "");
+ui.zipVolumeSize.value = loadStored("zipVolumeSize", "");
+renderRegistryUi();
+renderJournalUi();
+renderRequisitesUi();
+renderSignImagesUi();
+state.docTypes = loadDocTypes();
 resetAll();
 enableAfterFileChosen(false);
+renderJobUi();
 